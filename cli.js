@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import Linguci from "./linguci.js";
+
+/**
+ * Usage of the command-line interface
+ * @type {string}
+ */
+const USAGE = `Usage: linguci <command> [options]
+
+Commands:
+  translate   Translate missing strings and write the translation files
+  status      Show the translation coverage of each locale
+  check       Check the config, the existing translations and their coverage
+  init        Create a linguci.yml config file
+
+Options:
+  -c, --config <path>              Config file (default: linguci.yml or linguci.yaml)
+  -l, --locales <codes>            Comma-separated subset of the configured locales
+  -b, --batch-size <n>             Maximum number of strings in each batch (default: 20)
+      --batch-tokens <n>           Estimated tokens of source text in each batch, 0 for no limit (default: 2000)
+      --mix-contexts               Let strings of different contexts share a batch
+  -j, --concurrency <n>            Number of batches to translate concurrently (default: 2)
+      --locale-concurrency <n>     Number of batches of the same locale to translate concurrently
+      --max-retries <n>            Maximum number of retries of failed translations (default: 3)
+      --retry-delay <ms>           Delay before the first retry in milliseconds (default: 1000)
+      --dry-run                    Translate without writing the translation files
+      --report <path>              Write a JSON change report and its diffs to this path
+      --fail-on <policy>           Exit with 1 if entries fail: never, any, a count or a percentage (default: never)
+      --min-coverage <percent>     Minimum coverage of every locale with check (default: 0)
+      --required-locales <codes>   Comma-separated locales that must be complete with check
+      --json                       Print the status as JSON
+  -f, --force                      Overwrite an existing config file with init
+      --log-level <level>          DEBUG, INFO, WARN, ERROR or NONE (default: INFO)
+  -h, --help                       Show this help
+  -v, --version                    Show the version`;
+
+/**
+ * Config file written by the init command
+ * @type {string}
+ */
+const CONFIG_TEMPLATE = `# Linguci configuration, see https://github.com/tajpouria/linguci
+base_path: .
+locales:
+  - en-US
+  - fr-FR
+  - es-ES
+source_locale: en-US
+files:
+  - source: locales/en-US.po
+    translation: locales/%locale%.po
+llm:
+  provider: google-generative-ai
+  model: gemini-2.0-flash
+`;
+
+/**
+ * Parse a numeric option
+ * @param {Object<string, string>} values - The parsed option values
+ * @param {string} name - The option name
+ * @param {number} defaultValue - The value if the option is not set
+ * @returns {number} The value
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function getNumber(values, name, defaultValue) {
+  if (values[name] === undefined) {
+    return defaultValue;
+  }
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+/**
+ * Split a comma-separated list of locales
+ * @param {string} [value] - The option value
+ * @returns {string[]} The locale codes
+ */
+function getLocales(value) {
+  return (value || "")
+    .split(",")
+    .map((locale) => locale.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read the config and restrict it to the selected locales
+ * @param {Object<string, string|boolean>} values - The parsed option values
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.requireLlm=false] - Whether the llm section and API key are needed
+ * @returns {Linguci} The configured instance
+ */
+function createLinguci(values, { requireLlm = false } = {}) {
+  const linguci = new Linguci({
+    workspace: process.cwd(),
+    logLevel: values["log-level"],
+  });
+  linguci.readConfig(values.config);
+  if (values.locales) {
+    linguci.selectLocales(getLocales(values.locales));
+  }
+  return linguci.validateConfig({ requireLlm });
+}
+
+/**
+ * Translate missing strings and write the translation files
+ * @param {Object<string, string|boolean>} values - The parsed option values
+ * @returns {Promise<number>} The exit code, 1 if the failed entries exceed --fail-on
+ */
+async function translate(values) {
+  const linguci = createLinguci(values, { requireLlm: true });
+  const failOn = values["fail-on"] || "never";
+  linguci.checkFailurePolicy(failOn);
+
+  await linguci
+    .createTranslationBatches({
+      batchSize: getNumber(values, "batch-size", 20),
+      batchTokens: getNumber(values, "batch-tokens", 2000),
+      mixContexts: values["mix-contexts"],
+    })
+    .executeTranslations({
+      concurrency: getNumber(values, "concurrency", 2),
+      localeConcurrency: getNumber(values, "locale-concurrency", 0),
+      maxRetries: getNumber(values, "max-retries", 3),
+      retryDelay: getNumber(values, "retry-delay", 1000),
+    });
+
+  if (values.report) {
+    linguci.writeReport({
+      reportPath: path.resolve(values.report),
+      dryRun: values["dry-run"],
+    });
+  }
+  if (!values["dry-run"]) {
+    linguci.writeTranslations();
+  }
+
+  const { passed, message } = linguci.checkFailurePolicy(failOn);
+  if (!passed) {
+    console.error(`linguci: ${message}`);
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Print the translation coverage of each locale
+ * @param {Object<string, string|boolean>} values - The parsed option values
+ * @returns {number} The exit code
+ */
+function status(values) {
+  const coverage = createLinguci(values).getCoverage();
+
+  if (values.json) {
+    for (const file of coverage.files) {
+      file.file = path.relative(process.cwd(), file.file);
+    }
+    console.log(JSON.stringify(coverage, null, 2));
+    return 0;
+  }
+
+  const rows = [
+    ["Locale", "Translated", "Fuzzy", "Missing", "Coverage"],
+    ...coverage.locales.map(
+      ({ locale, total, translated, fuzzy, untranslated }) => [
+        locale,
+        `${translated}/${total}`,
+        String(fuzzy),
+        String(untranslated),
+        `${total > 0 ? ((translated / total) * 100).toFixed(1) : "100.0"}%`,
+      ]
+    ),
+  ];
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  for (const row of rows) {
+    console.log(
+      row
+        .map((cell, column) =>
+          column === 0
+            ? cell.padEnd(widths[column])
+            : cell.padStart(widths[column])
+        )
+        .join("  ")
+    );
+  }
+
+  return 0;
+}
+
+/**
+ * Check the config, the existing translations and their coverage
+ * @param {Object<string, string|boolean>} values - The parsed option values
+ * @returns {number} The exit code, 1 if there are invalid translations or the coverage is too low
+ */
+function check(values) {
+  const minCoverage = Number(values["min-coverage"] ?? 0);
+  if (!(minCoverage >= 0 && minCoverage <= 100)) {
+    throw new Error("--min-coverage must be a percentage between 0 and 100");
+  }
+
+  const linguci = createLinguci(values);
+  const problems = linguci.checkTranslations();
+  const { passed } = linguci.checkCoverage({
+    minCoverage: minCoverage / 100,
+    requiredLocales: getLocales(values["required-locales"]),
+  });
+
+  if (problems.length > 0) {
+    console.log(`${problems.length} invalid translations:`);
+    for (const { file, context, msgid, error } of problems) {
+      const key = context ? `${context} / ${msgid}` : msgid;
+      console.log(
+        `  ${path.relative(process.cwd(), file)}: "${key}": ${error}`
+      );
+    }
+  }
+  if (problems.length > 0 || !passed) {
+    return 1;
+  }
+
+  console.log("Config and translations are valid");
+  return 0;
+}
+
+/**
+ * Create a linguci.yml config file
+ * @param {Object<string, string|boolean>} values - The parsed option values
+ * @returns {number} The exit code
+ */
+function init(values) {
+  const configPath = path.resolve(values.config || "linguci.yml");
+  if (fs.existsSync(configPath) && !values.force) {
+    throw new Error(
+      `${path.relative(
+        process.cwd(),
+        configPath
+      )} already exists, use --force to overwrite it`
+    );
+  }
+
+  fs.writeFileSync(configPath, CONFIG_TEMPLATE);
+  console.log(
+    `Created ${path.relative(
+      process.cwd(),
+      configPath
+    )}, edit its locales, files and llm sections`
+  );
+  return 0;
+}
+
+/**
+ * Commands of the command-line interface
+ * @type {Object<string, function(Object): number|Promise<number>>}
+ */
+const COMMANDS = { translate, status, check, init };
+
+/**
+ * Run the command-line interface
+ * @param {string[]} args - The command-line arguments
+ * @returns {Promise<number>} The exit code
+ */
+async function main(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      config: { type: "string", short: "c" },
+      locales: { type: "string", short: "l" },
+      "batch-size": { type: "string", short: "b" },
+      "batch-tokens": { type: "string" },
+      "mix-contexts": { type: "boolean", default: false },
+      concurrency: { type: "string", short: "j" },
+      "locale-concurrency": { type: "string" },
+      "max-retries": { type: "string" },
+      "retry-delay": { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      report: { type: "string" },
+      "fail-on": { type: "string" },
+      "min-coverage": { type: "string" },
+      "required-locales": { type: "string" },
+      json: { type: "boolean", default: false },
+      force: { type: "boolean", short: "f", default: false },
+      "log-level": { type: "string", default: "INFO" },
+      help: { type: "boolean", short: "h", default: false },
+      version: { type: "boolean", short: "v", default: false },
+    },
+  });
+
+  if (values.version) {
+    const packageJson = JSON.parse(
+      fs.readFileSync(new URL("./package.json", import.meta.url), "utf8")
+    );
+    console.log(packageJson.version);
+    return 0;
+  }
+
+  const [command] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+
+  values["log-level"] = values["log-level"].toUpperCase();
+  return COMMANDS[command](values);
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`linguci: ${error.message}`);
+    process.exitCode = 1;
+  });
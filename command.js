@@ -0,0 +1,89 @@
+import { execFile } from "child_process";
+
+/**
+ * Default time limit of a command in milliseconds
+ * @type {number}
+ */
+export const DEFAULT_TIMEOUT = 120000;
+
+/**
+ * Format a command and its arguments for log and error messages
+ * Arguments with whitespace or quotes are JSON quoted so they stay readable
+ * @param {string} file - The executable
+ * @param {string[]} args - The arguments
+ * @returns {string} The command line
+ */
+export function formatCommand(file, args) {
+  return [file, ...args]
+    .map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg)))
+    .join(" ");
+}
+
+/**
+ * Run an executable with an array of arguments, without a shell
+ * Arguments are passed as they are, so values from workflow inputs like
+ * branch names or commit messages are never interpreted by a shell
+ * @param {string} file - The executable, e.g. git
+ * @param {string[]} args - The arguments
+ * @param {Object} [options] - Run options
+ * @param {string} [options.cwd] - The working directory
+ * @param {number} [options.timeout=DEFAULT_TIMEOUT] - Milliseconds before the command is killed, 0 for no limit
+ * @param {number[]} [options.allowedExitCodes=[0]] - Exit codes that do not fail the command
+ * @param {Object<string, string>} [options.env] - Environment variables added to the current ones
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>} The output and exit code
+ * @throws {Error} If the command cannot be started, times out or exits with another code, with its stderr in the message
+ */
+export function runCommand(
+  file,
+  args,
+  { cwd, timeout = DEFAULT_TIMEOUT, allowedExitCodes = [0], env } = {}
+) {
+  const command = formatCommand(file, args);
+
+  return new Promise((resolve, reject) => {
+    execFile(
+      file,
+      args,
+      {
+        cwd,
+        timeout,
+        env: env ? { ...process.env, ...env } : process.env,
+        maxBuffer: 64 * 1024 * 1024,
+        windowsHide: true,
+      },
+      (error, stdout, stderr) => {
+        stdout = stdout ? stdout.toString() : "";
+        stderr = stderr ? stderr.toString() : "";
+
+        // execFile reports the exit code as a number, start failures as a string code
+        const exitCode = !error
+          ? 0
+          : typeof error.code === "number"
+          ? error.code
+          : null;
+
+        if (error && error.killed && timeout > 0 && exitCode === null) {
+          reject(new Error(`${command} timed out after ${timeout}ms`));
+        } else if (error && exitCode === null) {
+          reject(
+            new Error(
+              error.signal
+                ? `${command} was killed with ${error.signal}`
+                : `${command} could not be run: ${error.message}`
+            )
+          );
+        } else if (!allowedExitCodes.includes(exitCode)) {
+          reject(
+            new Error(
+              `${command} failed with exit code ${exitCode}${
+                stderr.trim() ? `: ${stderr.trim()}` : ""
+              }`
+            )
+          );
+        } else {
+          resolve({ stdout, stderr, exitCode });
+        }
+      }
+    );
+  });
+}
@@ -0,0 +1,361 @@
+import { getCldrPluralForms } from "../plurals.js";
+import {
+  parseXml,
+  serializeXml,
+  createElement,
+  getAttribute,
+  getChildren,
+  getChild,
+  getInnerXml,
+  setInnerXml,
+  appendChildElement,
+  decodeEntities,
+} from "./xml.js";
+
+/**
+ * Map of Android escape sequences to the characters they stand for
+ * @type {Object<string, string>}
+ */
+const ESCAPES = { n: "\n", t: "\t" };
+
+/**
+ * Remove Android backslash escapes from the text of a string resource
+ * @param {string} text - The text with escapes like \' and \n
+ * @returns {string} The plain text
+ */
+function unescapeAndroid(text) {
+  return text.replace(/\\(u[\da-fA-F]{4}|.)/g, (match, sequence) =>
+    sequence.length === 5
+      ? String.fromCharCode(parseInt(sequence.slice(1), 16))
+      : ESCAPES[sequence] ?? sequence
+  );
+}
+
+/**
+ * Add the backslash escapes Android requires in string resources, and the
+ * XML escapes of & and <
+ * Entities are decoded first, since aapt decodes them before it reads the
+ * backslash escapes, so &apos; needs a backslash just like '
+ * @param {string} text - The text of a text node, with XML entities
+ * @param {boolean} isStart - Whether the text starts the string, where @ and ? must be escaped
+ * @returns {string} The escaped text
+ */
+function escapeAndroid(text, isStart) {
+  const escaped = decodeEntities(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t")
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"');
+  return (isStart ? escaped.replace(/^([@?])/, "\\$1") : escaped)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;");
+}
+
+/**
+ * Apply a function to every text node below a node
+ * @param {Object} node - The node to walk
+ * @param {function(Object): void} callback - Called with each text node
+ */
+function walkText(node, callback) {
+  for (const child of node.children) {
+    if (child.type === "text") {
+      callback(child);
+    } else if (child.type === "element") {
+      walkText(child, callback);
+    }
+  }
+}
+
+/**
+ * Pattern matching a double quote that is not escaped with a backslash
+ * @type {RegExp}
+ */
+const UNESCAPED_QUOTE = /(^|[^\\])(\\\\)*"/;
+
+/**
+ * Check whether a string resource is enclosed in double quotes, which keep
+ * its whitespace and apostrophes as they are, like "Don't  stop"
+ * Resources with more quoted parts are not, since their quotes are not only
+ * at the ends
+ * @param {Object} element - The <string> or <item> element
+ * @returns {boolean} True if the content starts and ends with a quote
+ */
+function isQuoted(element) {
+  const first = element.children[0];
+  const last = element.children[element.children.length - 1];
+  if (first?.type !== "text" || last?.type !== "text") {
+    return false;
+  }
+
+  const content = getInnerXml(element);
+  return (
+    content.length >= 2 &&
+    content.startsWith('"') &&
+    /(^|[^\\])(\\\\)*"$/.test(content.slice(1)) &&
+    !UNESCAPED_QUOTE.test(content.slice(1, -1))
+  );
+}
+
+/**
+ * Get the content of a string resource without Android escapes
+ * Markup like <b> or <xliff:g> is kept as it is, and enclosing quotes are
+ * removed while the whitespace they protect is kept
+ * @param {Object} element - The <string> or <item> element
+ * @returns {string} The text to translate
+ */
+function getText(element) {
+  const copy = structuredClone(element);
+  if (isQuoted(copy)) {
+    const first = copy.children[0];
+    first.value = first.value.slice(1);
+    const last = copy.children[copy.children.length - 1];
+    last.value = last.value.slice(0, -1);
+  }
+  walkText(copy, (text) => {
+    text.value = unescapeAndroid(text.value);
+  });
+  return getInnerXml(copy);
+}
+
+/**
+ * Replace the content of a string resource, adding Android escapes
+ * The text is enclosed in quotes if the resource was, or if it has leading,
+ * trailing or repeated whitespace that Android would collapse otherwise
+ * @param {Object} element - The <string> or <item> element
+ * @param {string} text - The translated text
+ */
+function setText(element, text) {
+  const quote = isQuoted(element) || /^\s|\s$|\s{2}/.test(text);
+  setInnerXml(element, text);
+  walkText(element, (node) => {
+    node.value = escapeAndroid(node.value, node === element.children[0]);
+  });
+  if (quote) {
+    element.children.unshift({ type: "text", value: '"' });
+    element.children.push({ type: "text", value: '"' });
+  }
+}
+
+/**
+ * Copy a resource element from the source document without its content
+ * @param {Object} element - The element from the source document
+ * @returns {Object} The new element with the same name and attributes
+ */
+function copyElement(element) {
+  const copy = structuredClone(element);
+  copy.children = [];
+  copy.selfClosing = false;
+  delete copy.openTag;
+  return copy;
+}
+
+/**
+ * Replace the <item> children of a <plurals> or <string-array> element
+ * Items are indented one level deeper than the element itself
+ * @param {Object} resources - The <resources> element
+ * @param {Object} element - The parent element of the items
+ * @param {Array<{attributes: Object<string, string>, text: string}>} items - The items to write
+ */
+function setItems(resources, element, items) {
+  const previous = resources.children[resources.children.indexOf(element) - 1];
+  const indent =
+    previous?.type === "text" && /^\s+$/.test(previous.value)
+      ? previous.value.slice(previous.value.lastIndexOf("\n"))
+      : "\n    ";
+
+  element.children = [];
+  for (const { attributes, text } of items) {
+    const item = createElement("item", attributes);
+    setText(item, text);
+    element.children.push({ type: "text", value: `${indent}    ` }, item);
+  }
+  element.children.push({ type: "text", value: indent });
+}
+
+/**
+ * Format adapter for Android string resources (res/values-<qualifier>/strings.xml)
+ * Handles <string>, <plurals> with CLDR quantities and <string-array>, and
+ * leaves resources marked translatable="false" alone
+ */
+const android = {
+  /**
+   * Format name used in the `format` key of a files[] entry
+   * @type {string}
+   */
+  name: "android",
+
+  /**
+   * File extensions this format is inferred from
+   * @type {string[]}
+   */
+  extensions: [".xml"],
+
+  /**
+   * Policies for entries that no longer exist in the source file
+   * @type {string[]}
+   */
+  obsoletePolicies: ["keep"],
+
+  /**
+   * Parse strings.xml contents into a catalog
+   * Plural entries hold one form per CLDR category of the locale
+   * @param {string} content - The file contents
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.locale] - Language tag of the file
+   * @returns {Object} The catalog
+   */
+  parse(content, { locale } = {}) {
+    const document = parseXml(content);
+    const resources = getChild(document, "resources");
+    if (!resources) {
+      throw new Error("Missing <resources> root element");
+    }
+
+    const { categories } = getCldrPluralForms(locale);
+    const entries = {};
+    const catalog = {
+      charset: "utf-8",
+      headers: {},
+      translations: { "": entries },
+      pluralRules: "cldr",
+      document,
+      resources,
+      locale,
+      elements: new Map(),
+      original: new Map(),
+    };
+
+    for (const element of getChildren(resources)) {
+      const name = getAttribute(element, "name");
+      if (!name) continue;
+
+      catalog.elements.set(`${element.name}:${name}`, element);
+      const translatable = getAttribute(element, "translatable") !== "false";
+      const base = { element };
+      if (!translatable) {
+        base.translatable = false;
+      }
+
+      if (element.name === "string") {
+        entries[name] = { ...base, msgid: name, msgstr: [getText(element)] };
+      } else if (element.name === "plurals") {
+        const forms = {};
+        for (const item of getChildren(element, "item")) {
+          forms[getAttribute(item, "quantity")] = getText(item);
+        }
+        entries[name] = {
+          ...base,
+          msgid: name,
+          msgid_plural: name,
+          msgstr: categories.map((category) => forms[category] ?? ""),
+          sourceText: forms,
+        };
+      } else if (element.name === "string-array") {
+        getChildren(element, "item").forEach((item, index) => {
+          const msgid = `${name}[${index}]`;
+          entries[msgid] = {
+            ...base,
+            msgid,
+            msgstr: [getText(item)],
+            arrayName: name,
+            arrayIndex: index,
+          };
+        });
+      }
+    }
+
+    for (const msgid in entries) {
+      catalog.original.set(msgid, JSON.stringify(entries[msgid].msgstr));
+    }
+
+    return catalog;
+  },
+
+  /**
+   * Compile a catalog back into strings.xml contents
+   * Untranslated resources are left out so Android falls back to the default
+   * resources, and string arrays are only added once every item is translated
+   * @param {Object} catalog - The catalog
+   * @returns {string} The file contents
+   */
+  compile(catalog) {
+    const { categories } = getCldrPluralForms(catalog.locale);
+    const arrays = new Map();
+
+    for (const entry of Object.values(catalog.translations[""] || {})) {
+      if (entry.translatable === false || !entry.element) continue;
+      if (catalog.original.get(entry.msgid) === JSON.stringify(entry.msgstr)) {
+        continue;
+      }
+
+      if (entry.arrayName !== undefined) {
+        if (!arrays.has(entry.arrayName)) {
+          arrays.set(entry.arrayName, []);
+        }
+        arrays.get(entry.arrayName).push(entry);
+        continue;
+      }
+
+      const forms = entry.msgstr.filter(Boolean);
+      if (forms.length === 0) continue;
+
+      const key = `${entry.element.name}:${entry.msgid}`;
+      let element = catalog.elements.get(key);
+      if (!element) {
+        element = copyElement(entry.element);
+        appendChildElement(catalog.resources, element);
+        catalog.elements.set(key, element);
+      }
+
+      if (entry.msgid_plural) {
+        setItems(
+          catalog.resources,
+          element,
+          categories
+            .map((category, index) => ({
+              attributes: { quantity: category },
+              text: entry.msgstr[index],
+            }))
+            .filter((item) => item.text)
+        );
+      } else {
+        setText(element, entry.msgstr[0]);
+      }
+    }
+
+    for (const [name, changed] of arrays) {
+      const key = `string-array:${name}`;
+      let element = catalog.elements.get(key);
+      const allEntries = Object.values(catalog.translations[""]).filter(
+        (entry) => entry.arrayName === name
+      );
+
+      if (!element) {
+        if (!allEntries.every((entry) => entry.msgstr[0])) continue;
+        element = copyElement(changed[0].element);
+        appendChildElement(catalog.resources, element);
+        catalog.elements.set(key, element);
+        setItems(
+          catalog.resources,
+          element,
+          allEntries
+            .sort((a, b) => a.arrayIndex - b.arrayIndex)
+            .map((entry) => ({ attributes: {}, text: entry.msgstr[0] }))
+        );
+        continue;
+      }
+
+      const items = getChildren(element, "item");
+      for (const entry of changed) {
+        if (items[entry.arrayIndex] && entry.msgstr[0]) {
+          setText(items[entry.arrayIndex], entry.msgstr[0]);
+        }
+      }
+    }
+
+    return serializeXml(catalog.document);
+  },
+};
+
+export default android;
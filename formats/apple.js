@@ -0,0 +1,360 @@
+import { getCldrPluralForms } from "../plurals.js";
+import {
+  parseXml,
+  escapeXml,
+  getChild,
+  getChildren,
+  getTextContent,
+} from "./xml.js";
+
+/**
+ * Map of .strings escape sequences to the characters they stand for
+ * @type {Object<string, string>}
+ */
+const ESCAPES = { n: "\n", t: "\t", r: "\r" };
+
+/**
+ * Decode the body of a quoted .strings literal
+ * @param {string} value - The literal without its quotes
+ * @returns {string} The decoded string
+ */
+function unescapeStrings(value) {
+  return value.replace(
+    /\\(U[\da-fA-F]{4}|u[\da-fA-F]{4}|.)/g,
+    (match, sequence) =>
+      sequence.length === 5
+        ? String.fromCharCode(parseInt(sequence.slice(1), 16))
+        : ESCAPES[sequence] ?? sequence
+  );
+}
+
+/**
+ * Encode a string as a quoted .strings literal
+ * @param {string} value - The string
+ * @returns {string} The quoted literal
+ */
+function quoteStrings(value) {
+  const escaped = value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t")
+    .replace(/\r/g, "\\r");
+  return `"${escaped}"`;
+}
+
+/**
+ * Pattern matching one token of a .strings file at the current position:
+ * whitespace, a block or line comment, or a key-value pair
+ * @type {RegExp}
+ */
+const STRINGS_TOKEN =
+  /(\s+)|\/\*([\s\S]*?)\*\/|\/\/([^\n]*)|(?:"((?:[^"\\]|\\.)*)"|([\w.-]+))\s*=\s*"((?:[^"\\]|\\.)*)"\s*;/y;
+
+/**
+ * Format adapter for Apple .strings files (Localizable.strings)
+ * The comment before each pair is passed on as an extracted comment
+ */
+export const strings = {
+  /**
+   * Format name used in the `format` key of a files[] entry
+   * @type {string}
+   */
+  name: "strings",
+
+  /**
+   * File extensions this format is inferred from
+   * @type {string[]}
+   */
+  extensions: [".strings"],
+
+  /**
+   * Policies for entries that no longer exist in the source file
+   * @type {string[]}
+   */
+  obsoletePolicies: ["keep"],
+
+  /**
+   * Parse .strings file contents into a catalog
+   * @param {string} content - The file contents
+   * @returns {Object} The catalog
+   */
+  parse(content) {
+    const entries = {};
+    const segments = [];
+    let comment = "";
+    let index = 0;
+
+    while (index < content.length) {
+      STRINGS_TOKEN.lastIndex = index;
+      const match = STRINGS_TOKEN.exec(content);
+      if (!match) {
+        const line = content.slice(0, index).split("\n").length;
+        throw new Error(`Invalid .strings syntax on line ${line}`);
+      }
+      index = STRINGS_TOKEN.lastIndex;
+
+      const [raw, whitespace, blockComment, lineComment] = match;
+      if (whitespace === undefined) {
+        if (blockComment !== undefined || lineComment !== undefined) {
+          comment = (blockComment ?? lineComment).trim();
+        } else {
+          const msgid =
+            match[4] !== undefined ? unescapeStrings(match[4]) : match[5];
+          const msgstr = unescapeStrings(match[6]);
+          entries[msgid] = { msgid, msgstr: [msgstr] };
+          if (comment) {
+            entries[msgid].comments = { extracted: comment };
+          }
+          segments.push({ msgid, raw, msgstr });
+          comment = "";
+          continue;
+        }
+      }
+      segments.push({ raw });
+    }
+
+    return {
+      charset: "utf-8",
+      headers: {},
+      translations: { "": entries },
+      segments,
+    };
+  },
+
+  /**
+   * Compile a catalog back into .strings file contents
+   * Changed pairs are rewritten in place, new translated pairs are appended
+   * with their comment, and untranslated ones are left out
+   * @param {Object} catalog - The catalog
+   * @returns {string} The file contents
+   */
+  compile(catalog) {
+    const entries = catalog.translations[""] || {};
+    const written = new Set();
+
+    let output = catalog.segments
+      .map(({ msgid, raw, msgstr }) => {
+        if (msgid === undefined) return raw;
+        written.add(msgid);
+        const translation = entries[msgid]?.msgstr[0];
+        return translation && translation !== msgstr
+          ? `${quoteStrings(msgid)} = ${quoteStrings(translation)};`
+          : raw;
+      })
+      .join("");
+
+    for (const entry of Object.values(entries)) {
+      if (written.has(entry.msgid) || !entry.msgstr[0]) continue;
+
+      if (output && !output.endsWith("\n")) output += "\n";
+      if (output) output += "\n";
+      if (entry.comments?.extracted) {
+        output += `/* ${entry.comments.extracted} */\n`;
+      }
+      output += `${quoteStrings(entry.msgid)} = ${quoteStrings(
+        entry.msgstr[0]
+      )};\n`;
+    }
+
+    return output;
+  },
+};
+
+/**
+ * Read a plist <dict> into an array of key-value element pairs
+ * @param {Object} dict - The <dict> element
+ * @returns {Array<[string, Object]>} The keys with their value elements
+ */
+function readDict(dict) {
+  const pairs = [];
+  const children = getChildren(dict);
+  for (let i = 0; i < children.length - 1; i += 2) {
+    if (children[i].name === "key") {
+      pairs.push([getTextContent(children[i]), children[i + 1]]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Check whether a format string only references variables, like "%#@files@"
+ * @param {string} format - The NSStringLocalizedFormatKey value
+ * @returns {boolean} True if there is no text to translate
+ */
+function isVariableOnly(format) {
+  return !format.replace(/%#@[^@]+@/g, "").trim();
+}
+
+/**
+ * Serialize plist key-value lines with tab indentation
+ * @param {Array<[string, string]>} pairs - Keys with their string values
+ * @param {string} indent - The indentation of the lines
+ * @returns {string} The serialized lines
+ */
+function writeStringPairs(pairs, indent) {
+  return pairs
+    .map(
+      ([key, value]) =>
+        `${indent}<key>${escapeXml(key)}</key>\n${indent}<string>${escapeXml(
+          value
+        )}</string>\n`
+    )
+    .join("");
+}
+
+/**
+ * Format adapter for Apple .stringsdict plural catalogs
+ * Each variable of a format key becomes a plural entry with one form per CLDR
+ * category of the locale, and the format string itself is translated when it
+ * contains more than variable references
+ */
+export const stringsdict = {
+  /**
+   * Format name used in the `format` key of a files[] entry
+   * @type {string}
+   */
+  name: "stringsdict",
+
+  /**
+   * File extensions this format is inferred from
+   * @type {string[]}
+   */
+  extensions: [".stringsdict"],
+
+  /**
+   * Policies for entries that no longer exist in the source file
+   * @type {string[]}
+   */
+  obsoletePolicies: ["keep", "delete"],
+
+  /**
+   * Parse .stringsdict file contents into a catalog
+   * @param {string} content - The file contents
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.locale] - Language tag of the file
+   * @returns {Object} The catalog
+   */
+  parse(content, { locale } = {}) {
+    const root = getChild(getChild(parseXml(content), "plist") || {}, "dict");
+    if (!root) {
+      throw new Error("Missing <plist><dict> root element");
+    }
+
+    const { categories } = getCldrPluralForms(locale);
+    const entries = {};
+
+    for (const [key, dict] of readDict(root)) {
+      if (dict.name !== "dict") continue;
+
+      for (const [name, value] of readDict(dict)) {
+        if (name === "NSStringLocalizedFormatKey") {
+          const format = getTextContent(value);
+          entries[key] = { msgid: key, msgstr: [format], dictKey: key };
+          if (isVariableOnly(format)) {
+            entries[key].translatable = false;
+            entries[key].value = format;
+          }
+          continue;
+        }
+
+        if (value.name !== "dict") continue;
+
+        const forms = {};
+        const spec = {};
+        for (const [rule, ruleValue] of readDict(value)) {
+          if (rule.startsWith("NSString")) {
+            spec[rule] = getTextContent(ruleValue);
+          } else {
+            forms[rule] = getTextContent(ruleValue);
+          }
+        }
+
+        const msgid = `${key}:${name}`;
+        entries[msgid] = {
+          msgid,
+          msgid_plural: msgid,
+          msgstr: categories.map((category) => forms[category] ?? ""),
+          sourceText: forms,
+          dictKey: key,
+          variable: name,
+          spec,
+        };
+      }
+    }
+
+    return {
+      charset: "utf-8",
+      headers: {},
+      translations: { "": entries },
+      pluralRules: "cldr",
+      locale,
+    };
+  },
+
+  /**
+   * Compile a catalog into .stringsdict file contents
+   * The plist is written in the layout Xcode uses, and keys with untranslated
+   * forms are left out so the development language is used for them
+   * @param {Object} catalog - The catalog
+   * @returns {string} The file contents
+   */
+  compile(catalog) {
+    const { categories } = getCldrPluralForms(catalog.locale);
+    const entries = Object.values(catalog.translations[""] || {});
+    const keys = [...new Set(entries.map((entry) => entry.dictKey))];
+
+    let body = "";
+    for (const key of keys) {
+      const formatEntry = entries.find(
+        (entry) => entry.dictKey === key && entry.variable === undefined
+      );
+      const variables = entries.filter(
+        (entry) => entry.dictKey === key && entry.variable !== undefined
+      );
+
+      const format =
+        formatEntry?.translatable === false
+          ? formatEntry.value
+          : formatEntry?.msgstr[0];
+      const isComplete =
+        format &&
+        variables.every((entry) =>
+          entry.msgstr.slice(0, categories.length).every(Boolean)
+        );
+      if (!isComplete) continue;
+
+      // A format key that only references variables is nothing without them
+      if (formatEntry?.translatable === false && variables.length === 0) {
+        continue;
+      }
+
+      body += `\t<key>${escapeXml(key)}</key>\n\t<dict>\n`;
+      body += writeStringPairs(
+        [["NSStringLocalizedFormatKey", format]],
+        "\t\t"
+      );
+      for (const entry of variables) {
+        body += `\t\t<key>${escapeXml(entry.variable)}</key>\n\t\t<dict>\n`;
+        body += writeStringPairs(
+          [
+            ...Object.entries(entry.spec || {}),
+            ...categories.map((category, index) => [
+              category,
+              entry.msgstr[index],
+            ]),
+          ],
+          "\t\t\t"
+        );
+        body += `\t\t</dict>\n`;
+      }
+      body += `\t</dict>\n`;
+    }
+
+    return (
+      `<?xml version="1.0" encoding="UTF-8"?>\n` +
+      `<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">\n` +
+      `<plist version="1.0">\n<dict>\n${body}</dict>\n</plist>\n`
+    );
+  },
+};
@@ -0,0 +1,118 @@
+import { isPlainObject, detectIndent, parseObject } from "./json.js";
+
+/**
+ * Build the extracted comment of an ARB message from its @key metadata
+ * @param {Object} metadata - The @key object
+ * @returns {string} The description followed by the placeholders and their examples
+ */
+function getMetadataComment(metadata) {
+  const lines = [];
+  if (metadata.description) {
+    lines.push(metadata.description);
+  }
+
+  if (isPlainObject(metadata.placeholders)) {
+    for (const [name, placeholder] of Object.entries(metadata.placeholders)) {
+      const details = [placeholder?.type, placeholder?.example]
+        .filter(Boolean)
+        .join(", e.g. ");
+      lines.push(`{${name}}${details ? `: ${details}` : ""}`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Format adapter for Flutter Application Resource Bundle files (app_<locale>.arb)
+ * @key metadata descriptions and placeholders are passed on as extracted
+ * comments, and metadata is only kept in the files that already contain it
+ */
+const arb = {
+  /**
+   * Format name used in the `format` key of a files[] entry
+   * @type {string}
+   */
+  name: "arb",
+
+  /**
+   * File extensions this format is inferred from
+   * @type {string[]}
+   */
+  extensions: [".arb"],
+
+  /**
+   * Policies for entries that no longer exist in the source file
+   * @type {string[]}
+   */
+  obsoletePolicies: ["keep", "delete"],
+
+  /**
+   * Parse ARB file contents into a catalog
+   * @param {string} content - The file contents
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.locale] - Language tag of the file
+   * @param {string} [options.localeCode] - Locale code of the file name, written as @@locale since Flutter requires both to match
+   * @returns {Object} The catalog
+   */
+  parse(content, { locale, localeCode = locale } = {}) {
+    const data = parseObject(content);
+    const entries = {};
+
+    for (const [key, value] of Object.entries(data)) {
+      if (key.startsWith("@") || typeof value !== "string") {
+        entries[key] = { msgid: key, msgstr: [""], translatable: false, value };
+        continue;
+      }
+
+      entries[key] = { msgid: key, msgstr: [value] };
+      const comment = isPlainObject(data[`@${key}`])
+        ? getMetadataComment(data[`@${key}`])
+        : "";
+      if (comment) {
+        entries[key].comments = { extracted: comment };
+      }
+    }
+
+    return {
+      charset: "utf-8",
+      headers: {},
+      translations: { "": entries },
+      indent: detectIndent(content),
+      keys: new Set(Object.keys(data)),
+      locale: localeCode,
+    };
+  },
+
+  /**
+   * Compile a catalog back into ARB file contents
+   * Untranslated messages are left out, @@locale is added if it is missing,
+   * and the @key metadata of messages deleted as obsolete is dropped
+   * @param {Object} catalog - The catalog
+   * @returns {string} The file contents
+   */
+  compile(catalog) {
+    const data = {};
+    if (catalog.locale && !catalog.keys.has("@@locale")) {
+      data["@@locale"] = catalog.locale.replace(/-/g, "_");
+    }
+
+    const entries = catalog.translations[""] || {};
+    for (const entry of Object.values(entries)) {
+      if (entry.translatable === false) {
+        const key = entry.msgid.slice(1);
+        const deleted =
+          /^@[^@]/.test(entry.msgid) && catalog.keys.has(key) && !entries[key];
+        if (catalog.keys.has(entry.msgid) && !deleted) {
+          data[entry.msgid] = entry.value;
+        }
+      } else if (entry.msgstr[0]) {
+        data[entry.msgid] = entry.msgstr[0];
+      }
+    }
+
+    return `${JSON.stringify(data, null, catalog.indent ?? 2)}\n`;
+  },
+};
+
+export default arb;
@@ -0,0 +1,63 @@
+import path from "path";
+import po from "./po.js";
+import { json, jsonNested } from "./json.js";
+import xliff from "./xliff.js";
+import android from "./android.js";
+import { strings, stringsdict } from "./apple.js";
+import arb from "./arb.js";
+
+/**
+ * Map of format names to their adapters
+ * Every adapter reads a file into the catalog model used by gettext-parser
+ * ({ headers, translations: { [context]: { [msgid]: entry } } }) and writes it back
+ * parse(content, { locale, targetState }) returns the catalog and compile(catalog)
+ * returns the file contents, adapters keep anything they need for writing on the catalog
+ * obsoletePolicies lists what can happen to entries removed from the source file:
+ * "keep" them, "mark" them obsolete or "delete" them
+ * @type {Object<string, Object>}
+ */
+export const formats = {
+  [po.name]: po,
+  [json.name]: json,
+  [jsonNested.name]: jsonNested,
+  [xliff.name]: xliff,
+  [android.name]: android,
+  [strings.name]: strings,
+  [stringsdict.name]: stringsdict,
+  [arb.name]: arb,
+};
+
+/**
+ * Get the format adapter for a files[] entry
+ * Uses the explicit `format` key if present, otherwise infers it from the file extension
+ * @param {Object} file - The files[] entry from the config
+ * @param {string} file.source - Path to the source file
+ * @param {string} [file.format] - Explicit format name
+ * @returns {Object} The format adapter
+ */
+export function getFormat(file) {
+  if (file.format) {
+    const format = formats[file.format];
+    if (!format) {
+      throw new Error(
+        `Unsupported format: ${file.format}, supported formats: ${Object.keys(
+          formats
+        ).join(", ")}`
+      );
+    }
+    return format;
+  }
+
+  const extension = path.extname(file.source).toLowerCase();
+  const format = Object.values(formats).find((format) =>
+    format.extensions.includes(extension)
+  );
+  if (!format) {
+    throw new Error(
+      `Cannot infer the format of ${
+        file.source
+      }, set 'format' to one of: ${Object.keys(formats).join(", ")}`
+    );
+  }
+  return format;
+}
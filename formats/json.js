@@ -0,0 +1,378 @@
+/**
+ * Check whether a value is a plain JSON object
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is a non-null, non-array object
+ */
+export function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Detect the indentation used in a JSON document
+ * @param {string} content - The JSON document
+ * @returns {string|number} The indentation string, or 2 if it cannot be detected
+ */
+export function detectIndent(content) {
+  const match = content.match(/^[{[]\s*?\n([ \t]+)\S/);
+  return match ? match[1] : 2;
+}
+
+/**
+ * Pattern matching a JSON string, number or literal at the current position
+ * @type {RegExp}
+ */
+const TOKEN =
+  /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[\da-fA-F]{4}))*"|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+/**
+ * Parse a JSON document keeping the key order of its objects
+ * JavaScript objects list integer-like keys like "404" first, so objects are
+ * parsed into Maps instead
+ * @param {string} content - The JSON document
+ * @returns {*} The parsed value, with a Map for each object
+ * @throws {SyntaxError} If the document is not valid JSON
+ */
+function parseOrdered(content) {
+  let index = 0;
+  const fail = () => {
+    throw new SyntaxError(`Unexpected token in JSON at position ${index}`);
+  };
+  const skipWhitespace = () => {
+    while (/[ \t\n\r]/.test(content[index])) index++;
+  };
+  const expect = (char) => {
+    skipWhitespace();
+    if (content[index] !== char) fail();
+    index++;
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const char = content[index];
+
+    if (char === "{" || char === "[") {
+      const isObject = char === "{";
+      const close = isObject ? "}" : "]";
+      const value = isObject ? new Map() : [];
+      index++;
+      skipWhitespace();
+      if (content[index] === close) {
+        index++;
+        return value;
+      }
+
+      while (true) {
+        if (isObject) {
+          skipWhitespace();
+          if (content[index] !== '"') fail();
+          const key = parseValue();
+          expect(":");
+          value.set(key, parseValue());
+        } else {
+          value.push(parseValue());
+        }
+
+        skipWhitespace();
+        if (content[index] === close) {
+          index++;
+          return value;
+        }
+        expect(",");
+      }
+    }
+
+    TOKEN.lastIndex = index;
+    const match = TOKEN.exec(content);
+    if (!match) fail();
+    index = TOKEN.lastIndex;
+    return JSON.parse(match[0]);
+  };
+
+  const value = parseValue();
+  skipWhitespace();
+  if (index < content.length) fail();
+  return value;
+}
+
+/**
+ * Serialize a value from parseOrdered like JSON.stringify, writing the keys
+ * of each Map in their order
+ * @param {*} value - The value to serialize
+ * @param {string} indent - The indentation of one level
+ * @param {string} [depth=""] - The indentation of the current level
+ * @returns {string} The JSON text
+ */
+function stringifyOrdered(value, indent, depth = "") {
+  if (!(value instanceof Map) && !Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+
+  const inner = depth + indent;
+  const items =
+    value instanceof Map
+      ? [...value].map(
+          ([key, item]) =>
+            `${JSON.stringify(key)}: ${stringifyOrdered(item, indent, inner)}`
+        )
+      : value.map((item) => stringifyOrdered(item, indent, inner));
+  const [open, close] = value instanceof Map ? "{}" : "[]";
+  if (items.length === 0) {
+    return `${open}${close}`;
+  }
+  return `${open}\n${inner}${items.join(`,\n${inner}`)}\n${depth}${close}`;
+}
+
+/**
+ * Create a catalog entry for a JSON value
+ * Non-string values are kept as they are and never sent for translation
+ * @param {string} key - The entry key
+ * @param {*} value - The JSON value
+ * @param {number} index - Position of the entry in its file, so entries copied to another catalog keep their order
+ * @returns {Object} The catalog entry
+ */
+function createEntry(key, value, index) {
+  if (typeof value === "string") {
+    return { msgid: key, msgstr: [value], index };
+  }
+  return { msgid: key, msgstr: [""], translatable: false, value, index };
+}
+
+/**
+ * Get the JSON value to write for a catalog entry
+ * @param {Object} entry - The catalog entry
+ * @returns {*} The value, or undefined if the entry is untranslated
+ */
+function getEntryValue(entry) {
+  if (entry.translatable === false && entry.value !== undefined) {
+    return entry.value;
+  }
+
+  // Leave untranslated keys out so the runtime falls back to the source language
+  return entry.msgstr[0] || undefined;
+}
+
+/**
+ * Parse a JSON document that must be an object
+ * @param {string} content - The file contents
+ * @returns {Object} The parsed object
+ */
+export function parseObject(content) {
+  const data = content.trim() ? JSON.parse(content) : {};
+  if (!isPlainObject(data)) {
+    throw new Error("JSON catalog must contain an object at the top level");
+  }
+  return data;
+}
+
+/**
+ * Parse a JSON catalog that must be an object, keeping its key order
+ * @param {string} content - The file contents
+ * @returns {Map<string, *>} The parsed object
+ */
+function parseCatalogObject(content) {
+  const data = content.trim() ? parseOrdered(content) : new Map();
+  if (!(data instanceof Map)) {
+    throw new Error("JSON catalog must contain an object at the top level");
+  }
+  return data;
+}
+
+/**
+ * Create a catalog from the entries of a JSON document
+ * @param {string} content - The file contents
+ * @param {Object<string, Object>} entries - Catalog entries keyed by msgid
+ * @param {string[]} order - The msgids in file order
+ * @returns {Object} The catalog
+ */
+function createCatalog(content, entries, order) {
+  return {
+    charset: "utf-8",
+    headers: {},
+    translations: { "": entries },
+    indent: detectIndent(content),
+    order,
+  };
+}
+
+/**
+ * Get the entries of a JSON catalog in file order
+ * Entries keyed by integer-like msgids are listed first by the catalog
+ * object, so the order of the file is restored, and entries added from the
+ * source file follow in the order of the source file
+ * @param {Object} catalog - The catalog
+ * @returns {Object[]} The catalog entries
+ */
+function getOrderedEntries(catalog) {
+  const entries = catalog.translations[""] || {};
+  const order = new Set(catalog.order || []);
+  const known = [...order]
+    .filter((msgid) => entries[msgid])
+    .map((msgid) => entries[msgid]);
+  const added = Object.values(entries)
+    .filter(({ msgid }) => !order.has(msgid))
+    .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+  return [...known, ...added];
+}
+
+/**
+ * Serialize a JSON catalog with the indentation of the file it was read from
+ * @param {Map<string, *>} data - The object to serialize
+ * @param {Object} catalog - The catalog
+ * @returns {string} The file contents
+ */
+function stringify(data, catalog) {
+  const indent = catalog.indent ?? 2;
+  return `${stringifyOrdered(
+    data,
+    typeof indent === "number" ? " ".repeat(indent) : indent
+  )}\n`;
+}
+
+/**
+ * Format adapter for flat JSON catalogs mapping keys to strings
+ * (i18next or react-intl style)
+ */
+export const json = {
+  /**
+   * Format name used in the `format` key of a files[] entry
+   * @type {string}
+   */
+  name: "json",
+
+  /**
+   * File extensions this format is inferred from
+   * @type {string[]}
+   */
+  extensions: [".json"],
+
+  /**
+   * Policies for entries that no longer exist in the source file
+   * @type {string[]}
+   */
+  obsoletePolicies: ["keep", "delete"],
+
+  /**
+   * Parse flat JSON file contents into a catalog
+   * @param {string} content - The file contents
+   * @returns {Object} The catalog
+   */
+  parse(content) {
+    const entries = {};
+    const order = [];
+
+    for (const [key, value] of parseCatalogObject(content)) {
+      if (value instanceof Map) {
+        throw new Error(
+          `Key "${key}" contains a nested object, use the json-nested format for nested catalogs`
+        );
+      }
+      entries[key] = createEntry(key, value, order.length);
+      order.push(key);
+    }
+
+    return createCatalog(content, entries, order);
+  },
+
+  /**
+   * Compile a catalog back into flat JSON file contents
+   * Keys are written in file order
+   * @param {Object} catalog - The catalog
+   * @returns {string} The file contents
+   */
+  compile(catalog) {
+    const data = new Map();
+
+    for (const entry of getOrderedEntries(catalog)) {
+      const value = getEntryValue(entry);
+      if (value !== undefined) {
+        data.set(entry.msgid, value);
+      }
+    }
+
+    return stringify(data, catalog);
+  },
+};
+
+/**
+ * Format adapter for nested JSON catalogs
+ * Entries are keyed by the dot-joined path of each string
+ */
+export const jsonNested = {
+  /**
+   * Format name used in the `format` key of a files[] entry
+   * @type {string}
+   */
+  name: "json-nested",
+
+  /**
+   * File extensions this format is inferred from
+   * Nested catalogs share the .json extension, so this format must be set explicitly
+   * @type {string[]}
+   */
+  extensions: [],
+
+  /**
+   * Policies for entries that no longer exist in the source file
+   * @type {string[]}
+   */
+  obsoletePolicies: ["keep", "delete"],
+
+  /**
+   * Parse nested JSON file contents into a catalog
+   * @param {string} content - The file contents
+   * @returns {Object} The catalog
+   */
+  parse(content) {
+    const entries = {};
+    const order = [];
+
+    const walk = (object, parentPath) => {
+      for (const [key, value] of object) {
+        const keyPath = [...parentPath, key];
+        if (value instanceof Map) {
+          walk(value, keyPath);
+          continue;
+        }
+
+        const msgid = keyPath.join(".");
+        entries[msgid] = {
+          ...createEntry(msgid, value, order.length),
+          path: keyPath,
+        };
+        order.push(msgid);
+      }
+    };
+    walk(parseCatalogObject(content), []);
+
+    return createCatalog(content, entries, order);
+  },
+
+  /**
+   * Compile a catalog back into nested JSON file contents
+   * Keys are written in file order, grouped under their first parent
+   * @param {Object} catalog - The catalog
+   * @returns {string} The file contents
+   */
+  compile(catalog) {
+    const data = new Map();
+
+    for (const entry of getOrderedEntries(catalog)) {
+      const value = getEntryValue(entry);
+      if (value === undefined) {
+        continue;
+      }
+
+      const keyPath = entry.path || entry.msgid.split(".");
+      let parent = data;
+      for (const key of keyPath.slice(0, -1)) {
+        if (!(parent.get(key) instanceof Map)) {
+          parent.set(key, new Map());
+        }
+        parent = parent.get(key);
+      }
+      parent.set(keyPath[keyPath.length - 1], value);
+    }
+
+    return stringify(data, catalog);
+  },
+};
@@ -0,0 +1,46 @@
+import gettextParser from "gettext-parser";
+
+/**
+ * Format adapter for GNU gettext PO files
+ * PO objects are already in the catalog model used by Linguci, so this adapter
+ * is a thin wrapper around gettext-parser
+ */
+const po = {
+  /**
+   * Format name used in the `format` key of a files[] entry
+   * @type {string}
+   */
+  name: "po",
+
+  /**
+   * File extensions this format is inferred from
+   * @type {string[]}
+   */
+  extensions: [".po", ".pot"],
+
+  /**
+   * Policies for entries that no longer exist in the source file
+   * @type {string[]}
+   */
+  obsoletePolicies: ["keep", "mark", "delete"],
+
+  /**
+   * Parse PO file contents into a catalog
+   * @param {string} content - The file contents
+   * @returns {Object} The catalog
+   */
+  parse(content) {
+    return gettextParser.po.parse(content);
+  },
+
+  /**
+   * Compile a catalog back into PO file contents
+   * @param {Object} catalog - The catalog
+   * @returns {Buffer} The file contents
+   */
+  compile(catalog) {
+    return gettextParser.po.compile(catalog);
+  },
+};
+
+export default po;
@@ -0,0 +1,411 @@
+import {
+  parseXml,
+  serializeXml,
+  createElement,
+  getAttribute,
+  setAttribute,
+  getChildren,
+  getChild,
+  getInnerXml,
+  setInnerXml,
+  getTextContent,
+  appendChildElement,
+  insertChildAfter,
+  removeChildElement,
+} from "./xml.js";
+
+/**
+ * Target states of each XLIFF version
+ * Units in a `needsTranslation` state are translated, all others are left alone
+ * @type {Object<string, {states: string[], needsTranslation: string[], defaultState: string}>}
+ */
+const VERSIONS = {
+  1: {
+    states: [
+      "new",
+      "needs-translation",
+      "needs-adaptation",
+      "needs-l10n",
+      "needs-review-translation",
+      "needs-review-adaptation",
+      "needs-review-l10n",
+      "translated",
+      "signed-off",
+      "final",
+    ],
+    needsTranslation: [
+      "new",
+      "needs-translation",
+      "needs-adaptation",
+      "needs-l10n",
+    ],
+    defaultState: "needs-review-translation",
+  },
+  2: {
+    states: ["initial", "translated", "reviewed", "final"],
+    needsTranslation: ["initial"],
+    defaultState: "translated",
+  },
+};
+
+/**
+ * Get the major version of an XLIFF document
+ * @param {Object} xliff - The <xliff> element
+ * @returns {number} 1 or 2
+ */
+function getMajorVersion(xliff) {
+  const version = getAttribute(xliff, "version") || "1.2";
+  return version.startsWith("2") ? 2 : 1;
+}
+
+/**
+ * Find all translation units below a container, descending into groups
+ * @param {Object} container - The <body>, <file> or <group> element
+ * @param {string} unitName - "trans-unit" for XLIFF 1.2, "unit" for XLIFF 2.0
+ * @returns {Object[]} The unit elements in document order
+ */
+function findUnits(container, unitName) {
+  const units = [];
+  for (const child of getChildren(container)) {
+    if (child.name === unitName) {
+      units.push(child);
+    } else if (child.name === "group") {
+      units.push(...findUnits(child, unitName));
+    }
+  }
+  return units;
+}
+
+/**
+ * Get the element that holds the translation units of a <file>
+ * @param {Object} file - The <file> element
+ * @param {number} version - The major XLIFF version
+ * @returns {Object} The <body> element for XLIFF 1.2, the <file> itself for XLIFF 2.0
+ */
+function getUnitContainer(file, version) {
+  if (version === 2) {
+    return file;
+  }
+
+  let body = getChild(file, "body");
+  if (!body) {
+    body = createElement("body");
+    appendChildElement(file, body);
+  }
+  return body;
+}
+
+/**
+ * Get the context key of a <file>
+ * Documents with a single file use the default context
+ * @param {Object} file - The <file> element
+ * @param {number} index - Index of the file in the document
+ * @param {number} fileCount - Number of files in the document
+ * @returns {string} The context key
+ */
+function getFileContext(file, index, fileCount) {
+  if (fileCount === 1) {
+    return "";
+  }
+  return (
+    getAttribute(file, "original") || getAttribute(file, "id") || `${index}`
+  );
+}
+
+/**
+ * Get the translatable segments of a unit
+ * XLIFF 1.2 units have a single segment, XLIFF 2.0 units can have several
+ * @param {Object} unit - The unit element
+ * @param {number} version - The major XLIFF version
+ * @returns {Array<{msgid: string, segment: Object}>} The segments with their entry keys
+ */
+function getSegments(unit, version) {
+  const id = getAttribute(unit, "id") || getAttribute(unit, "resname") || "";
+  if (version === 1) {
+    return [{ msgid: id, segment: unit }];
+  }
+
+  const segments = getChildren(unit, "segment");
+  return segments.map((segment, index) => ({
+    msgid:
+      segments.length === 1
+        ? id
+        : `${id}/${getAttribute(segment, "id") ?? index}`,
+    segment,
+  }));
+}
+
+/**
+ * Get the notes of a unit joined into a single comment
+ * @param {Object} unit - The unit element
+ * @param {number} version - The major XLIFF version
+ * @returns {string} The notes separated by line breaks
+ */
+function getNotes(unit, version) {
+  const parent = version === 2 ? getChild(unit, "notes") : unit;
+  if (!parent) {
+    return "";
+  }
+  return getChildren(parent, "note")
+    .map((note) => getTextContent(note).trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Get the target state of a segment
+ * @param {Object} segment - The segment, or the unit for XLIFF 1.2
+ * @param {number} version - The major XLIFF version
+ * @returns {string|undefined} The state attribute
+ */
+function getState(segment, version) {
+  if (version === 2) {
+    return getAttribute(segment, "state");
+  }
+  const target = getChild(segment, "target");
+  return target && getAttribute(target, "state");
+}
+
+/**
+ * Check whether a segment must be translated
+ * @param {Object} unit - The unit element
+ * @param {Object} segment - The segment, or the unit for XLIFF 1.2
+ * @param {number} version - The major XLIFF version
+ * @returns {boolean} True if the target is missing or in a state that needs translation
+ */
+function needsTranslation(unit, segment, version) {
+  if (version === 1 && getAttribute(unit, "approved") === "yes") {
+    return false;
+  }
+
+  const target = getChild(segment, "target");
+  const state = getState(segment, version);
+  if (state) {
+    return VERSIONS[version].needsTranslation.includes(state);
+  }
+  return !target || !getInnerXml(target).trim();
+}
+
+/**
+ * Register the segments of a unit in a catalog and return their entries
+ * @param {Object} catalog - The catalog
+ * @param {string} context - The context key
+ * @param {Object} unit - The unit element
+ * @returns {Object[]} The catalog entries of the unit
+ */
+function registerUnit(catalog, context, unit) {
+  const version = catalog.version;
+  const notes = getNotes(unit, version);
+  const translatable = getAttribute(unit, "translate") !== "no";
+
+  return getSegments(unit, version).map(({ msgid, segment }) => {
+    const source = getChild(segment, "source");
+    const target = getChild(segment, "target");
+    const msgstr =
+      target && !needsTranslation(unit, segment, version)
+        ? getInnerXml(target)
+        : "";
+
+    catalog.segments.set(`${context}\u0004${msgid}`, {
+      unit,
+      segment,
+      msgstr,
+    });
+
+    const entry = {
+      msgid,
+      msgstr: [msgstr],
+      sourceText: source ? getInnerXml(source) : "",
+      unit,
+    };
+    if (context) {
+      entry.msgctxt = context;
+    }
+    if (notes) {
+      entry.comments = { translator: notes };
+    }
+    if (!translatable) {
+      entry.translatable = false;
+    }
+    return entry;
+  });
+}
+
+/**
+ * Copy a unit from the source document into a translation document
+ * Targets of the copy are removed so it starts out untranslated
+ * @param {Object} catalog - The translation catalog
+ * @param {string} context - The context key
+ * @param {Object} sourceUnit - The unit element from the source document
+ */
+function addUnit(catalog, context, sourceUnit) {
+  const version = catalog.version;
+  const unit = structuredClone(sourceUnit);
+
+  for (const { segment } of getSegments(unit, version)) {
+    const target = getChild(segment, "target");
+    if (target) {
+      removeChildElement(segment, target);
+    }
+    if (version === 2) {
+      setAttribute(segment, "state", undefined);
+    }
+  }
+
+  const container =
+    catalog.containers[context] ?? Object.values(catalog.containers)[0];
+  appendChildElement(container, unit);
+  registerUnit(catalog, context, unit);
+}
+
+/**
+ * Write a translation into a segment
+ * @param {Object} catalog - The catalog
+ * @param {Object} segment - The segment, or the unit for XLIFF 1.2
+ * @param {string} translation - The translation as an XML fragment
+ */
+function writeTarget(catalog, segment, translation) {
+  let target = getChild(segment, "target");
+  if (!target) {
+    target = createElement("target");
+    insertChildAfter(segment, getChild(segment, "source"), target);
+  }
+  setInnerXml(target, translation);
+  setAttribute(
+    catalog.version === 2 ? segment : target,
+    "state",
+    catalog.targetState
+  );
+}
+
+/**
+ * Format adapter for XLIFF 1.2 and 2.0 files
+ * Entries are keyed by unit id, notes become translator comments, and only
+ * units whose target is missing or in a state that needs translation are translated
+ */
+const xliff = {
+  /**
+   * Format name used in the `format` key of a files[] entry
+   * @type {string}
+   */
+  name: "xliff",
+
+  /**
+   * File extensions this format is inferred from
+   * @type {string[]}
+   */
+  extensions: [".xlf", ".xliff"],
+
+  /**
+   * Policies for entries that no longer exist in the source file
+   * @type {string[]}
+   */
+  obsoletePolicies: ["keep"],
+
+  /**
+   * Parse XLIFF file contents into a catalog
+   * @param {string} content - The file contents
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.locale] - Language tag of the file
+   * @param {string} [options.targetState] - State written on translated targets
+   * @returns {Object} The catalog
+   */
+  parse(content, { locale, targetState } = {}) {
+    const document = parseXml(content);
+    const root = getChild(document, "xliff");
+    if (!root) {
+      throw new Error("Missing <xliff> root element");
+    }
+
+    const version = getMajorVersion(root);
+    const { states, defaultState } = VERSIONS[version];
+    if (targetState && !states.includes(targetState)) {
+      throw new Error(
+        `Invalid target state for XLIFF ${version}: ${targetState}, valid states: ${states.join(
+          ", "
+        )}`
+      );
+    }
+
+    const catalog = {
+      charset: "utf-8",
+      headers: {},
+      translations: {},
+      document,
+      version,
+      locale,
+      targetState: targetState || defaultState,
+      containers: {},
+      segments: new Map(),
+    };
+
+    const unitName = version === 2 ? "unit" : "trans-unit";
+    const files = getChildren(root, "file");
+    files.forEach((file, index) => {
+      const context = getFileContext(file, index, files.length);
+      const container = getUnitContainer(file, version);
+      catalog.containers[context] = container;
+      catalog.translations[context] = catalog.translations[context] || {};
+
+      for (const unit of findUnits(container, unitName)) {
+        for (const entry of registerUnit(catalog, context, unit)) {
+          catalog.translations[context][entry.msgid] = entry;
+        }
+      }
+    });
+
+    return catalog;
+  },
+
+  /**
+   * Compile a catalog back into XLIFF file contents
+   * Only targets that were translated are rewritten, and units added from the
+   * source file are appended to their file
+   * @param {Object} catalog - The catalog
+   * @returns {string} The file contents
+   */
+  compile(catalog) {
+    const root = getChild(catalog.document, "xliff");
+    if (Object.keys(catalog.containers).length === 0) {
+      throw new Error("XLIFF document has no <file> element to add units to");
+    }
+
+    for (const context in catalog.translations) {
+      for (const msgid in catalog.translations[context]) {
+        const entry = catalog.translations[context][msgid];
+        const key = `${context}\u0004${msgid}`;
+
+        if (!catalog.segments.has(key) && entry.unit) {
+          addUnit(catalog, context, entry.unit);
+        }
+
+        const registered = catalog.segments.get(key);
+        const translation = entry.msgstr[0];
+        if (!registered || !translation || translation === registered.msgstr) {
+          continue;
+        }
+
+        writeTarget(catalog, registered.segment, translation);
+        registered.msgstr = translation;
+      }
+    }
+
+    // Declare the target language on new translation files
+    if (catalog.locale) {
+      if (catalog.version === 2 && !getAttribute(root, "trgLang")) {
+        setAttribute(root, "trgLang", catalog.locale);
+      }
+      if (catalog.version === 1) {
+        for (const file of getChildren(root, "file")) {
+          if (!getAttribute(file, "target-language")) {
+            setAttribute(file, "target-language", catalog.locale);
+          }
+        }
+      }
+    }
+
+    return serializeXml(catalog.document);
+  },
+};
+
+export default xliff;
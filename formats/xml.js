@@ -0,0 +1,431 @@
+/**
+ * Minimal XML tree used by the XML based format adapters
+ * Parsing and serializing an unmodified document returns it byte for byte,
+ * so translation files keep their formatting, comments and declarations
+ */
+
+/**
+ * Map of predefined XML entities to their characters
+ * @type {Object<string, string>}
+ */
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Pattern matching an opening or self-closing tag at the current position
+ * @type {RegExp}
+ */
+const OPEN_TAG =
+  /<([^\s/>!?]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/y;
+
+/**
+ * Pattern matching a single attribute inside an opening tag
+ * @type {RegExp}
+ */
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+
+/**
+ * Pattern matching an ampersand that does not start a predefined entity or a
+ * character reference, which is not well-formed XML
+ * @type {RegExp}
+ */
+const BARE_AMPERSAND = /&(?!(?:#x[\da-fA-F]+|#\d+|amp|lt|gt|quot|apos);)/;
+
+/**
+ * Decode XML entities in a string
+ * @param {string} value - The escaped string
+ * @returns {string} The decoded string
+ */
+export function decodeEntities(value) {
+  return value.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const codePoint =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(codePoint);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Escape a string for use as XML text or attribute value
+ * @param {string} value - The raw string
+ * @returns {string} The escaped string
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Find the end of a markup construct
+ * @param {string} content - The XML document
+ * @param {number} start - Index the construct starts at
+ * @param {string} terminator - The string that ends the construct
+ * @returns {number} Index after the terminator
+ */
+function findEnd(content, start, terminator) {
+  const end = content.indexOf(terminator, start);
+  if (end === -1) {
+    throw new Error(`Unterminated markup at offset ${start}`);
+  }
+  return end + terminator.length;
+}
+
+/**
+ * Parse an XML document or fragment into a tree of nodes
+ * Elements are { type: "element", name, attributes, children, selfClosing },
+ * text is { type: "text", value } with entities still escaped, and comments,
+ * CDATA sections, declarations and doctypes are kept as { type: "raw", value }
+ * @param {string} content - The XML document or fragment
+ * @returns {{type: string, children: Object[]}} The root node
+ */
+export function parseXml(content) {
+  const root = { type: "document", children: [] };
+  const stack = [root];
+  let index = 0;
+
+  while (index < content.length) {
+    const parent = stack[stack.length - 1];
+    const next = content.indexOf("<", index);
+
+    if (next !== index) {
+      const end = next === -1 ? content.length : next;
+      parent.children.push({ type: "text", value: content.slice(index, end) });
+      index = end;
+      continue;
+    }
+
+    let end;
+    if (content.startsWith("<!--", index)) {
+      end = findEnd(content, index, "-->");
+    } else if (content.startsWith("<![CDATA[", index)) {
+      end = findEnd(content, index, "]]>");
+    } else if (content.startsWith("<?", index)) {
+      end = findEnd(content, index, "?>");
+    } else if (content.startsWith("<!", index)) {
+      const subset = content.indexOf("[", index);
+      const close = content.indexOf(">", index);
+      end =
+        subset !== -1 && subset < close
+          ? findEnd(content, subset, "]>")
+          : findEnd(content, index, ">");
+    }
+    if (end) {
+      parent.children.push({ type: "raw", value: content.slice(index, end) });
+      index = end;
+      continue;
+    }
+
+    if (content.startsWith("</", index)) {
+      end = findEnd(content, index, ">");
+      const name = content.slice(index + 2, end - 1).trim();
+      if (parent.type !== "element" || parent.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}> at offset ${index}`);
+      }
+      stack.pop();
+      index = end;
+      continue;
+    }
+
+    OPEN_TAG.lastIndex = index;
+    const match = OPEN_TAG.exec(content);
+    if (!match) {
+      throw new Error(`Invalid tag at offset ${index}`);
+    }
+
+    const attributes = {};
+    for (const [, name, double, single] of match[2].matchAll(ATTRIBUTE)) {
+      attributes[name] = double ?? single ?? "";
+    }
+
+    const element = {
+      type: "element",
+      name: match[1],
+      attributes,
+      children: [],
+      selfClosing: match[3] === "/",
+      openTag: match[0],
+    };
+    parent.children.push(element);
+    if (!element.selfClosing) {
+      stack.push(element);
+    }
+    index = OPEN_TAG.lastIndex;
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+
+  return root;
+}
+
+/**
+ * Serialize a node and its children back into XML
+ * @param {Object} node - The node to serialize
+ * @returns {string} The XML string
+ */
+export function serializeXml(node) {
+  if (node.type === "text" || node.type === "raw") {
+    return node.value;
+  }
+
+  const children = node.children.map(serializeXml).join("");
+  if (node.type === "document") {
+    return children;
+  }
+
+  if (node.selfClosing && node.children.length === 0) {
+    return node.openTag ?? `${buildOpenTag(node).slice(0, -1)}/>`;
+  }
+
+  const openTag =
+    node.openTag && !node.selfClosing ? node.openTag : buildOpenTag(node);
+  return `${openTag}${children}</${node.name}>`;
+}
+
+/**
+ * Build the opening tag of an element from its attributes
+ * @param {Object} element - The element
+ * @returns {string} The opening tag
+ */
+function buildOpenTag(element) {
+  const attributes = Object.entries(element.attributes)
+    .map(([name, value]) => ` ${name}="${value}"`)
+    .join("");
+  return `<${element.name}${attributes}>`;
+}
+
+/**
+ * Create a new element
+ * @param {string} name - The tag name
+ * @param {Object<string, string>} [attributes={}] - Unescaped attribute values
+ * @param {Object[]} [children=[]] - Child nodes
+ * @returns {Object} The element
+ */
+export function createElement(name, attributes = {}, children = []) {
+  const element = { type: "element", name, attributes: {}, children };
+  for (const [attribute, value] of Object.entries(attributes)) {
+    element.attributes[attribute] = escapeXml(value);
+  }
+  return element;
+}
+
+/**
+ * Create a text node
+ * @param {string} value - The unescaped text
+ * @returns {Object} The text node
+ */
+export function createText(value) {
+  return { type: "text", value: escapeXml(value) };
+}
+
+/**
+ * Get the decoded value of an attribute
+ * @param {Object} element - The element
+ * @param {string} name - The attribute name
+ * @returns {string|undefined} The attribute value
+ */
+export function getAttribute(element, name) {
+  const value = element.attributes[name];
+  return value === undefined ? undefined : decodeEntities(value);
+}
+
+/**
+ * Set or remove an attribute
+ * @param {Object} element - The element
+ * @param {string} name - The attribute name
+ * @param {string|undefined} value - The unescaped value, or undefined to remove it
+ */
+export function setAttribute(element, name, value) {
+  if (value === undefined) {
+    delete element.attributes[name];
+  } else {
+    element.attributes[name] = escapeXml(value);
+  }
+  delete element.openTag;
+}
+
+/**
+ * Get the child elements of a node, optionally filtered by tag name
+ * @param {Object} node - The parent node
+ * @param {string} [name] - The tag name to filter by
+ * @returns {Object[]} The child elements
+ */
+export function getChildren(node, name) {
+  return node.children.filter(
+    (child) => child.type === "element" && (!name || child.name === name)
+  );
+}
+
+/**
+ * Get the first child element with the given tag name
+ * @param {Object} node - The parent node
+ * @param {string} name - The tag name
+ * @returns {Object|undefined} The child element
+ */
+export function getChild(node, name) {
+  return getChildren(node, name)[0];
+}
+
+/**
+ * Get the serialized content of an element, with markup and entities kept as they are
+ * @param {Object} element - The element
+ * @returns {string} The inner XML
+ */
+export function getInnerXml(element) {
+  return element.children.map(serializeXml).join("");
+}
+
+/**
+ * Check whether a node has text or attribute values with a bare ampersand
+ * parseXml keeps text as it is, so these are not caught while parsing
+ * @param {Object} node - The node to check
+ * @returns {boolean} True if the node or one of its descendants has one
+ */
+function hasBareAmpersand(node) {
+  if (node.type === "text") {
+    return BARE_AMPERSAND.test(node.value);
+  }
+  if (node.type !== "element") {
+    return false;
+  }
+  return (
+    Object.values(node.attributes).some((value) =>
+      BARE_AMPERSAND.test(value)
+    ) || node.children.some(hasBareAmpersand)
+  );
+}
+
+/**
+ * Parse an XML fragment that must be well-formed
+ * @param {string} xml - The XML fragment
+ * @returns {Object[]} The nodes of the fragment
+ * @throws {Error} If the fragment is not well-formed
+ */
+function parseFragment(xml) {
+  const { children } = parseXml(xml);
+  if (children.some(hasBareAmpersand)) {
+    throw new Error("Bare ampersand in XML fragment");
+  }
+  return children;
+}
+
+/**
+ * Replace the content of an element with an XML fragment
+ * Bare ampersands, like in "Fisch & <g id="1">Pommes</g>", are escaped so the
+ * markup is kept. Fragments that are still not well-formed are written as
+ * escaped text
+ * @param {Object} element - The element
+ * @param {string} xml - The XML fragment
+ */
+export function setInnerXml(element, xml) {
+  try {
+    element.children = parseFragment(xml);
+  } catch {
+    try {
+      element.children = parseFragment(
+        xml.replace(new RegExp(BARE_AMPERSAND, "g"), "&amp;")
+      );
+    } catch {
+      element.children = [createText(xml)];
+    }
+  }
+}
+
+/**
+ * Get the text content of an element with entities decoded and markup removed
+ * @param {Object} element - The element
+ * @returns {string} The text content
+ */
+export function getTextContent(element) {
+  return element.children
+    .map((child) => {
+      if (child.type === "element") return getTextContent(child);
+      if (child.type === "text") return decodeEntities(child.value);
+      if (child.value.startsWith("<![CDATA[")) return child.value.slice(9, -3);
+      return "";
+    })
+    .join("");
+}
+
+/**
+ * Get the whitespace that indents the child elements of a parent
+ * @param {Object} parent - The parent element
+ * @returns {string|null} The indentation including the leading line break, or null if unknown
+ */
+function getChildIndent(parent) {
+  const index = parent.children.findIndex((child) => child.type === "element");
+  const previous = parent.children[index - 1];
+  if (previous?.type === "text" && /^\s+$/.test(previous.value)) {
+    return previous.value.slice(previous.value.lastIndexOf("\n"));
+  }
+  return null;
+}
+
+/**
+ * Append a child element on its own line, matching the indentation of its siblings
+ * @param {Object} parent - The parent element
+ * @param {Object} child - The element to append
+ */
+export function appendChildElement(parent, child) {
+  const last = parent.children[parent.children.length - 1];
+
+  // Reuse the whitespace before the closing tag of the parent
+  let closingIndent = "\n";
+  if (last?.type === "text" && /^\s+$/.test(last.value)) {
+    closingIndent = last.value.slice(last.value.lastIndexOf("\n"));
+    parent.children.pop();
+  }
+  const indent = getChildIndent(parent) ?? `${closingIndent}  `;
+
+  if (parent.selfClosing) {
+    parent.selfClosing = false;
+    delete parent.openTag;
+  }
+
+  parent.children.push({ type: "text", value: indent }, child, {
+    type: "text",
+    value: closingIndent,
+  });
+}
+
+/**
+ * Insert a child element after a reference element, on its own line with the same indentation
+ * @param {Object} parent - The parent element
+ * @param {Object} reference - The element to insert after
+ * @param {Object} child - The element to insert
+ */
+export function insertChildAfter(parent, reference, child) {
+  const index = parent.children.indexOf(reference);
+  const previous = parent.children[index - 1];
+  const indent =
+    previous?.type === "text" && /^\s+$/.test(previous.value)
+      ? previous.value.slice(previous.value.lastIndexOf("\n"))
+      : "";
+
+  parent.children.splice(index + 1, 0, { type: "text", value: indent }, child);
+}
+
+/**
+ * Remove a child element together with the whitespace that indents it
+ * @param {Object} parent - The parent element
+ * @param {Object} child - The element to remove
+ */
+export function removeChildElement(parent, child) {
+  const index = parent.children.indexOf(child);
+  const previous = parent.children[index - 1];
+  const hasIndent = previous?.type === "text" && /^\s+$/.test(previous.value);
+  parent.children.splice(hasIndent ? index - 1 : index, hasIndent ? 2 : 1);
+}
@@ -0,0 +1,272 @@
+import {
+  parseXml,
+  getAttribute,
+  getChildren,
+  getTextContent,
+} from "./formats/xml.js";
+
+/**
+ * Create an empty glossary
+ * @returns {{terms: Array<{term: string, translations: Object<string, string>}>, doNotTranslate: string[]}} The glossary
+ */
+export function createGlossary() {
+  return { terms: [], doNotTranslate: [] };
+}
+
+/**
+ * Split CSV contents into rows of cells
+ * Supports quoted cells with commas, line breaks and doubled quotes
+ * @param {string} content - The CSV contents
+ * @returns {string[][]} The rows
+ */
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      rows.push([...row, cell]);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    rows.push([...row, cell]);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+/**
+ * Parse a CSV glossary
+ * The header row has a `term` column and one column per locale code, and an
+ * optional `do_not_translate` column marks terms to keep as they are
+ * @param {string} content - The CSV contents
+ * @returns {Object} The glossary
+ */
+export function parseGlossaryCsv(content) {
+  const [header = [], ...rows] = parseCsvRows(content);
+  const columns = header.map((name) => name.trim());
+  const termIndex = columns.indexOf("term");
+  if (termIndex === -1) {
+    throw new Error("Glossary CSV must have a 'term' column");
+  }
+  const doNotTranslateIndex = columns.indexOf("do_not_translate");
+
+  const glossary = createGlossary();
+  for (const cells of rows) {
+    const term = cells[termIndex]?.trim();
+    if (!term) continue;
+
+    if (/^(yes|true|1|x)$/i.test(cells[doNotTranslateIndex]?.trim() ?? "")) {
+      glossary.doNotTranslate.push(term);
+      continue;
+    }
+
+    const translations = {};
+    columns.forEach((column, index) => {
+      const translation = cells[index]?.trim();
+      if (index !== termIndex && index !== doNotTranslateIndex && translation) {
+        translations[column] = translation;
+      }
+    });
+    glossary.terms.push({ term, translations });
+  }
+
+  return glossary;
+}
+
+/**
+ * Find the configured locale a TBX language code stands for
+ * @param {string} lang - The xml:lang value, e.g. "de" or "pt_BR"
+ * @param {string[]} locales - The configured locale codes
+ * @returns {string|undefined} The matching locale code
+ */
+function matchLocale(lang, locales) {
+  const code = lang.replace(/_/g, "-").toLowerCase();
+  return (
+    locales.find((locale) => locale.toLowerCase() === code) ||
+    locales.find((locale) => locale.split("-")[0].toLowerCase() === code)
+  );
+}
+
+/**
+ * Find the term elements of a TBX entry, in TBX 2 (termEntry/langSet/tig) or
+ * TBX 3 (conceptEntry/langSec/termSec) layout
+ * @param {Object} node - The element to search
+ * @param {string[]} names - The entry element names
+ * @returns {Object[]} The matching elements below the node
+ */
+function findElements(node, names) {
+  const found = [];
+  for (const child of getChildren(node)) {
+    if (names.includes(child.name)) {
+      found.push(child);
+    } else {
+      found.push(...findElements(child, names));
+    }
+  }
+  return found;
+}
+
+/**
+ * Parse a TBX glossary
+ * In each entry, the term of the first language that is not a configured
+ * locale is the source term, and the terms of configured locales are its
+ * translations
+ * @param {string} content - The TBX contents
+ * @param {string[]} locales - The configured locale codes
+ * @returns {Object} The glossary
+ */
+export function parseGlossaryTbx(content, locales) {
+  const glossary = createGlossary();
+
+  for (const entry of findElements(parseXml(content), [
+    "termEntry",
+    "conceptEntry",
+  ])) {
+    let term;
+    const translations = {};
+
+    for (const langSet of findElements(entry, ["langSet", "langSec"])) {
+      const lang = getAttribute(langSet, "xml:lang") || "";
+      const [termElement] = findElements(langSet, ["term"]);
+      const text = termElement && getTextContent(termElement).trim();
+      if (!text) continue;
+
+      const locale = matchLocale(lang, locales);
+      if (locale) {
+        translations[locale] = text;
+      } else if (!term) {
+        term = text;
+      }
+    }
+
+    if (term) {
+      glossary.terms.push({ term, translations });
+    }
+  }
+
+  return glossary;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - The string
+ * @returns {string} The escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Check whether a text contains a term as a whole word
+ * @param {string} text - The text
+ * @param {string} term - The term
+ * @param {boolean} ignoreCase - Whether to ignore case
+ * @returns {boolean} True if the term occurs in the text
+ */
+function containsTerm(text, term, ignoreCase) {
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`,
+    ignoreCase ? "iu" : "u"
+  );
+  return pattern.test(text);
+}
+
+/**
+ * Join the forms of a message into a single text
+ * @param {string|string[]|Object<string, string>} message - A message or its plural forms
+ * @returns {string} The text
+ */
+function toText(message) {
+  if (typeof message === "string") {
+    return message;
+  }
+  return Object.values(message || {}).join("\n");
+}
+
+/**
+ * Find the glossary terms that occur in source messages
+ * @param {Object} glossary - The glossary
+ * @param {Array<string|string[]|Object<string, string>>} messages - The source messages
+ * @param {string} locale - The target locale code
+ * @returns {{terms: Array<{term: string, translation: string}>, doNotTranslate: string[]}} The terms with their translation for the locale
+ */
+export function findGlossaryTerms(glossary, messages, locale) {
+  const text = messages.map(toText).join("\n");
+
+  // Terms inside do-not-translate terms, like "resume" in "Reactive Resume", do not count
+  const translatableText = glossary.doNotTranslate.reduce(
+    (result, term) => result.split(term).join("\n"),
+    text
+  );
+
+  return {
+    terms: glossary.terms
+      .filter(
+        ({ term, translations }) =>
+          translations[locale] && containsTerm(translatableText, term, true)
+      )
+      .map(({ term, translations }) => ({
+        term,
+        translation: translations[locale],
+      })),
+    doNotTranslate: glossary.doNotTranslate.filter((term) =>
+      containsTerm(text, term, false)
+    ),
+  };
+}
+
+/**
+ * Check that a translation follows the glossary
+ * Terms of the source must use their glossary translation, and
+ * do-not-translate terms must be kept exactly as they are
+ * @param {Object} glossary - The glossary
+ * @param {string|string[]|Object<string, string>} source - The source text
+ * @param {string|string[]} translation - The translation
+ * @param {string} locale - The target locale code
+ * @returns {string|null} A description of the problems, or null if the translation complies
+ */
+export function checkGlossary(glossary, source, translation, locale) {
+  const { terms, doNotTranslate } = findGlossaryTerms(
+    glossary,
+    [source],
+    locale
+  );
+  const text = toText(translation);
+  const errors = [];
+
+  for (const { term, translation: expected } of terms) {
+    if (!containsTerm(text, expected, true)) {
+      errors.push(`"${term}" must be translated as "${expected}"`);
+    }
+  }
+  for (const term of doNotTranslate) {
+    if (!text.includes(term)) {
+      errors.push(`"${term}" must not be translated`);
+    }
+  }
+
+  return errors.length ? `Glossary: ${errors.join(", ")}` : null;
+}
@@ -1,10 +1,36 @@
 import fs from "fs";
 import path from "path";
 import yaml from "js-yaml";
-import gettextParser from "gettext-parser";
 import { z } from "zod";
-import { google } from "@ai-sdk/google";
+import { createGoogleGenerativeAI } from "@ai-sdk/google";
+import { createOpenAI } from "@ai-sdk/openai";
+import { createAnthropic } from "@ai-sdk/anthropic";
+import { createOpenAICompatible } from "@ai-sdk/openai-compatible";
 import { generateObject } from "ai";
+import { createTwoFilesPatch, FILE_HEADERS_ONLY } from "diff";
+import {
+  parsePluralForms,
+  getDefaultPluralForms,
+  getPluralExamples,
+  getCldrPluralForms,
+} from "./plurals.js";
+import { getFormat } from "./formats/index.js";
+import { validateTranslation } from "./validation.js";
+import {
+  createGlossary,
+  parseGlossaryCsv,
+  parseGlossaryTbx,
+  findGlossaryTerms,
+  checkGlossary,
+} from "./glossary.js";
+import TranslationMemory from "./memory.js";
+import { createMockModel } from "./mock.js";
+import { runCommand, formatCommand, DEFAULT_TIMEOUT } from "./command.js";
+import Scheduler, {
+  sleep,
+  getRetryAfter,
+  getBackoffDelay,
+} from "./scheduler.js";
 
 /**
  * Main class for handling linguci configuration
@@ -46,6 +72,47 @@ class Linguci {
    */
   hasTranslationChanges = false;
 
+  /**
+   * Default commit message template, see commitChanges
+   * @type {string}
+   */
+  DEFAULT_COMMIT_MESSAGE = "linguci({{locales}}): translate {{count}} strings";
+
+  /**
+   * Default estimated tokens of source text per batch, see createTranslationBatches
+   * @type {number}
+   */
+  DEFAULT_BATCH_TOKENS = 2000;
+
+  /**
+   * Maximum number of sample translations of each locale in the pull request body
+   * @type {number}
+   */
+  PR_SAMPLES_PER_LOCALE = 20;
+
+  /**
+   * Maximum number of failed entries listed in the pull request body
+   * @type {number}
+   */
+  PR_FAILED_ENTRIES = 50;
+
+  /**
+   * Lines git writes to stderr that are real warnings, logged at WARN even
+   * when git succeeds. Other stderr output, like the progress and ref updates
+   * of a push or "Everything up-to-date", is informational
+   * @type {RegExp[]}
+   */
+  GIT_WARNING_LINES = [
+    /^(warning|hint|error|fatal):/i,
+    /^remote:\s*(warning|error)\b/i,
+  ];
+
+  /**
+   * The pull request created or updated by createPullRequest
+   * @type {{number: number, url: string}|null}
+   */
+  pullRequest = null;
+
   /**
    * Log a message with the specified level
    * @param {string} level - Log level (DEBUG, INFO, WARN, ERROR)
@@ -87,66 +154,59 @@ class Linguci {
   }
 
   /**
-   * Map of language codes to their names in different languages
-   * @type {Object<string, string[]>}
-   */
-  languageNames = {
-    "af-ZA": ["Afrikaans", "Afrikaans"],
-    ar: ["العربية", "Arabic"],
-    "bg-BG": ["Български", "Bulgarian"],
-    "ca-AD": ["Català", "Catalan"],
-    "cs-CZ": ["Čeština", "Czech"],
-    "cy-GB": ["Cymraeg", "Welsh"],
-    "da-DK": ["Dansk", "Danish"],
-    "de-AT": ["Deutsch (Österreich)", "German (Austria)"],
-    "de-CH": ["Deutsch (Schweiz)", "German (Switzerland)"],
-    "de-DE": ["Deutsch (Deutschland)", "German (Germany)"],
-    "el-GR": ["Ελληνικά", "Greek"],
-    "en-GB": ["English (UK)", "English (UK)"],
-    "en-US": ["English (US)", "English (US)"],
-    "es-CL": ["Español (Chile)", "Spanish (Chile)"],
-    "es-ES": ["Español (España)", "Spanish (Spain)"],
-    "es-MX": ["Español (México)", "Spanish (Mexico)"],
-    "et-EE": ["Eesti keel", "Estonian"],
-    eu: ["Euskara", "Basque"],
-    "fa-IR": ["فارسی", "Persian"],
-    "fi-FI": ["Suomi", "Finnish"],
-    "fr-CA": ["Français (Canada)", "French (Canada)"],
-    "fr-FR": ["Français (France)", "French (France)"],
-    "gl-ES": ["Galego (Spain)", "Galician (Spain)"],
-    "he-IL": ["עברית", "Hebrew"],
-    "hi-IN": ["हिंदी", "Hindi"],
-    "hr-HR": ["Hrvatski", "Croatian"],
-    "hu-HU": ["Magyar", "Hungarian"],
-    "id-ID": ["Bahasa Indonesia", "Indonesian"],
-    "is-IS": ["Íslenska", "Icelandic"],
-    "it-IT": ["Italiano", "Italian"],
-    "ja-JP": ["日本語", "Japanese"],
-    "km-KH": ["ភាសាខ្មែរ", "Khmer"],
-    "ko-KR": ["한국어", "Korean"],
-    la: ["Latina", "Latin"],
-    "lt-LT": ["Lietuvių kalba", "Lithuanian"],
-    "lv-LV": ["Latviešu", "Latvian"],
-    "mn-MN": ["Монгол", "Mongolian"],
-    "nb-NO": ["Norsk bokmål", "Norwegian (Bokmål)"],
-    "nl-NL": ["Nederlands", "Dutch"],
-    "nn-NO": ["Norsk nynorsk", "Norwegian (Nynorsk)"],
-    "pa-PK": ["پنجابی (شاہ‌مکھی)", "Punjabi (Shahmukhi)"],
-    "pl-PL": ["Polski", "Polish"],
-    "pt-BR": ["Português (Brasil)", "Portuguese (Brazil)"],
-    "pt-PT": ["Português (Portugal)", "Portuguese (Portugal)"],
-    "ro-RO": ["Română", "Romanian"],
-    "ru-RU": ["Русский", "Russian"],
-    "sk-SK": ["Slovenčina", "Slovak"],
-    "sl-SI": ["Slovenščina", "Slovenian"],
-    "sr-RS": ["Српски / Srpski", "Serbian"],
-    "sv-SE": ["Svenska", "Swedish"],
-    "th-TH": ["ไทย", "Thai"],
-    "tr-TR": ["Türkçe", "Turkish"],
-    "uk-UA": ["Українська", "Ukrainian"],
-    "vi-VN": ["Tiếng Việt", "Vietnamese"],
-    "zh-CN": ["中文 (中国大陆)", "Chinese (PRC)"],
-    "zh-TW": ["中文 (台灣)", "Chinese (Taiwan)"],
+   * Supported LLM providers
+   * Each provider reads its API key from its own environment variable, and
+   * providers with a required base URL talk to self-hosted endpoints
+   * @type {Object<string, {apiKeyEnv?: string, apiKeyOptional?: boolean, baseUrlRequired?: boolean, create: function(Object): Object}>}
+   */
+  PROVIDERS = {
+    "google-generative-ai": {
+      apiKeyEnv: "GOOGLE_GENERATIVE_AI_API_KEY",
+      create: ({ model, apiKey, baseURL }) =>
+        createGoogleGenerativeAI({ apiKey, baseURL })(model, {
+          structuredOutputs: false,
+        }),
+    },
+    openai: {
+      apiKeyEnv: "OPENAI_API_KEY",
+      create: ({ model, apiKey, baseURL }) =>
+        createOpenAI({ apiKey, baseURL })(model),
+    },
+    anthropic: {
+      apiKeyEnv: "ANTHROPIC_API_KEY",
+      create: ({ model, apiKey, baseURL }) =>
+        createAnthropic({ apiKey, baseURL })(model),
+    },
+    // Any OpenAI compatible endpoint, like Ollama (http://localhost:11434/v1) or vLLM
+    "openai-compatible": {
+      apiKeyEnv: "OPENAI_COMPATIBLE_API_KEY",
+      apiKeyOptional: true,
+      baseUrlRequired: true,
+      create: ({ model, apiKey, baseURL }) =>
+        createOpenAICompatible({ name: "openai-compatible", apiKey, baseURL })(
+          model
+        ),
+    },
+    // Offline fake translations for dry runs and end-to-end tests
+    mock: {
+      apiKeyOptional: true,
+      create: ({ model, options }) => createMockModel({ ...options, model }),
+    },
+  };
+
+  /**
+   * Generation settings that can be set under llm in the config, mapped to
+   * their AI SDK names
+   * @type {Object<string, string>}
+   */
+  LLM_SETTINGS = {
+    temperature: "temperature",
+    top_p: "topP",
+    top_k: "topK",
+    max_tokens: "maxTokens",
+    presence_penalty: "presencePenalty",
+    frequency_penalty: "frequencyPenalty",
+    seed: "seed",
   };
 
   /**
@@ -154,26 +214,40 @@ class Linguci {
    * @param {Object} options - The options object
    * @param {string} options.provider - The provider name
    * @param {string} options.model - The model name
+   * @param {string} [options.base_url] - Base URL of the provider API
+   * @param {Object} [options.mock] - Options of the mock provider
    * @returns {Object} The model object
    */
-  getModel({ provider, model }) {
-    const models = {
-      "google-generative-ai": () =>
-        google(model, {
-          structuredOutputs: false,
-        }),
-    };
-
-    const modelFactory = models[provider];
-    if (!modelFactory) {
+  getModel({ provider, model, base_url, mock }) {
+    const providerConfig = this.PROVIDERS[provider];
+    if (!providerConfig) {
       throw new Error(
         `Unsupported provider: ${provider}, supported providers: ${Object.keys(
-          models
+          this.PROVIDERS
         ).join(", ")}`
       );
     }
 
-    return modelFactory();
+    return providerConfig.create({
+      model,
+      apiKey: process.env[providerConfig.apiKeyEnv],
+      baseURL: base_url,
+      options: mock,
+    });
+  }
+
+  /**
+   * Get the generation settings of the llm config for generateObject
+   * @returns {Object} The settings, like temperature and maxTokens
+   */
+  getModelSettings() {
+    const settings = {};
+    for (const [key, name] of Object.entries(this.LLM_SETTINGS)) {
+      if (this.config.llm?.[key] !== undefined) {
+        settings[name] = this.config.llm[key];
+      }
+    }
+    return settings;
   }
 
   /**
@@ -185,52 +259,189 @@ class Linguci {
   /**
    * The parsed configuration object from linguci.yml/yaml
    * @type {Object}
-   * @property {Array<{source: string, translation: string}>} files - List of files to be translated, each with source and translation paths
+   * @property {Array<{source: string, translation: string, format?: string}>} files - List of files to be translated, each with source and translation paths and an optional format name
    * @property {string[]} locales - List of target locale codes that must be valid language keys
    * @property {string} base_path - Base path for file resolution
    */
   config = {};
 
   /**
-   * Storage for translation batches organized by file, locale, and context
-   * @type {Object<string, Object<string, Object<string, Object<number, Object>>>>}
-   * @property {Object<string, Object<string, Object<number, Object>>>} [sourcePath] - Key is source file path
-   * @property {Object<string, Object<number, Object>>} [sourcePath.translationPath] - Key is translation file path
-   * @property {Object<number, Object>} [sourcePath.translationPath.contextKey] - Key is context name
-   * @property {Object} [sourcePath.translationPath.contextKey.batchNumber] - Zod schema for validating translations
+   * Storage for translation batches organized by file and locale
+   * Each batch has the Zod schema for validating translations, the source
+   * messages and their notes, and the context of each message keyed by msgid
+   * @type {Object<string, Object<string, Array<{schema: Object, messages: Object, notes: Object, contexts: Object<string, string>}>>>}
+   * @property {Object<string, Array<Object>>} [sourcePath] - Key is source file path
+   * @property {Array<Object>} [sourcePath.translationPath] - Key is translation file path
    */
   translationBatches = {};
 
   /**
    * Storage for translation PO objects organized by file and locale
+   * Files in other formats are stored as catalogs in the same shape
    * @type {Object<string, Object<string, Object>>}
    * @property {Object<string, Object>} [sourcePath] - Key is source file path
    * @property {Object} [sourcePath.translationPath] - Key is translation file path, value is PO object
    */
   translationPos = {};
 
+  /**
+   * Format adapters used to write each translation file
+   * @type {Object<string, Object>}
+   * @property {Object} [translationPath] - Key is translation file path, value is the format adapter
+   */
+  translationFormats = {};
+
+  /**
+   * Locale codes of each translation file
+   * @type {Object<string, string>}
+   * @property {string} [translationPath] - Key is the resolved translation file path, value is the locale code
+   */
+  translationLocales = {};
+
+  /**
+   * All locales of the config, before selectLocales restricted the run to
+   * some of them. Sections like the glossary are checked against these
+   * @type {string[]|null}
+   */
+  configuredLocales = null;
+
+  /**
+   * Glossary of forced translations and do-not-translate terms
+   * Combines the glossary section of the config with its external file
+   * @type {{terms: Array<{term: string, translations: Object<string, string>}>, doNotTranslate: string[]}}
+   */
+  glossary = createGlossary();
+
+  /**
+   * Translation memory of past translations, if configured
+   * @type {TranslationMemory|null}
+   */
+  translationMemory = null;
+
+  /**
+   * Number of entries marked obsolete or deleted per locale
+   * @type {Object<string, number>}
+   */
+  obsoleteEntries = {};
+
+  /**
+   * Change counts of each translation file
+   * Failed entries are the ones left untranslated by failed requests or validation,
+   * and flagged entries the ones whose translation failed validation at least once
+   * @type {Object<string, {locale: string, added: number, translated: number, failed: number, flagged: number, obsolete: number}>}
+   * @property {Object} [translationPath] - Key is translation file path
+   */
+  translationStats = {};
+
+  /**
+   * Files changed by writeTranslations, the only files commitChanges stages
+   * The translation memory file has no locale
+   * @type {Array<{file: string, locale: string|null}>}
+   */
+  writtenFiles = [];
+
+  /**
+   * Entries translated by the model in this run, with their source text
+   * @type {Array<{file: string, locale: string, context: string, msgid: string, source: string|string[]|Object<string, string>, translation: string|string[]}>}
+   */
+  translatedEntries = [];
+
+  /**
+   * The last report written by writeReport
+   * @type {Object|null}
+   */
+  report = null;
+
+  /**
+   * Translations that still failed validation after all retries
+   * These entries are left untranslated
+   * @type {Array<{file: string, locale: string, context: string, msgid: string, error: string}>}
+   */
+  invalidTranslations = [];
+
+  /**
+   * Entries whose translation request still failed after all retries, even
+   * in a batch of their own. These entries are left untranslated
+   * @type {Array<{file: string, locale: string, context: string, msgid: string, error: string}>}
+   */
+  failedEntries = [];
+
+  /**
+   * Invalid Plural-Forms headers that were already reported, keyed by locale
+   * and header, so each is logged once per run
+   * @type {Set<string>}
+   */
+  invalidPluralForms = new Set();
+
+  /**
+   * Locale placeholders available in translation path templates
+   * Platform variants cover directory conventions like values-pt-rBR or pt-BR.lproj
+   * @type {Object<string, function(string): string>}
+   */
+  localePlaceholders = {
+    "%locale%": (locale) => locale,
+    "%two_letters_code%": (locale) => locale.split(/[-_]/)[0],
+    "%locale_with_underscore%": (locale) => locale.replace(/-/g, "_"),
+    "%android_code%": (locale) => {
+      const [language, ...subtags] = locale.split("-");
+      if (subtags.some((subtag) => subtag.length === 4)) {
+        // Scripts need the BCP 47 qualifier, e.g. b+sr+Latn
+        return `b+${locale.replace(/-/g, "+")}`;
+      }
+      return subtags.length ? `${language}-r${subtags[0]}` : language;
+    },
+    "%osx_code%": (locale) => `${locale}.lproj`,
+  };
+
+  /**
+   * File placeholders available in translation path templates, filled in from
+   * the source path of the files[] entry
+   * @type {Object<string, function(string): string>}
+   */
+  filePlaceholders = {
+    "%original_file_name%": (source) => path.basename(source),
+    "%file_name%": (source) => path.basename(source, path.extname(source)),
+    "%file_extension%": (source) => path.extname(source).slice(1),
+    "%original_path%": (source) => path.dirname(source),
+  };
+
   /**
    * Constructor
    * @param {Object} options - The options object
    * @param {string} options.workspace - The workspace directory path
    * @param {string} options.logLevel - The log level (DEBUG, INFO, WARN, ERROR, NONE)
+   * @param {Function} [options.runCommand] - Runs git with an array of arguments, see command.js, replaceable in tests
+   * @param {number} [options.commandTimeout] - Milliseconds before a git command is killed
    */
-  constructor({ workspace = ".", logLevel = "INFO" } = {}) {
+  constructor({
+    workspace = ".",
+    logLevel = "INFO",
+    runCommand: run = runCommand,
+    commandTimeout = DEFAULT_TIMEOUT,
+  } = {}) {
     this.workspace = workspace;
+    this.runCommand = run;
+    this.commandTimeout = commandTimeout;
     this.setLogLevel(logLevel);
   }
 
   /**
    * Reads and parses the linguci config file
+   * @param {string} [customPath] - Path of the config file, relative to the workspace, instead of linguci.yml or linguci.yaml
    * @returns {Linguci} this instance for chaining
    */
-  readConfig() {
+  readConfig(customPath) {
     // Check for linguci.yml or linguci.yaml
     let configPath;
     const ymlPath = path.join(this.workspace, "linguci.yml");
     const yamlPath = path.join(this.workspace, "linguci.yaml");
 
-    if (fs.existsSync(ymlPath)) {
+    if (customPath) {
+      configPath = path.resolve(this.workspace, customPath);
+      if (!fs.existsSync(configPath)) {
+        throw new Error(`Config file not found: ${customPath}`);
+      }
+    } else if (fs.existsSync(ymlPath)) {
       configPath = ymlPath;
     } else if (fs.existsSync(yamlPath)) {
       configPath = yamlPath;
@@ -243,17 +454,47 @@ class Linguci {
     try {
       const fileContents = fs.readFileSync(configPath, "utf8");
       this.config = yaml.load(fileContents);
+      this.configuredLocales = null;
       return this;
     } catch (error) {
       throw new Error(`Error reading config file: ${error.message}`);
     }
   }
 
+  /**
+   * Restrict the run to some of the configured locales
+   * Source locales are kept, since source files are parsed with them
+   * @param {string[]} locales - The locale codes to translate
+   * @returns {Linguci} this instance for chaining
+   * @throws {Error} If a locale is not in the config
+   */
+  selectLocales(locales) {
+    const unknown = locales.filter(
+      (locale) => !this.config.locales?.includes(locale)
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Locales not in the config: ${unknown.join(", ")}`);
+    }
+
+    const sourceLocales = (this.config.files || []).map((file) =>
+      this._getSourceLocale(file)
+    );
+    this.configuredLocales ??= this.config.locales;
+    this.config.locales = this.config.locales.filter(
+      (locale) => locales.includes(locale) || sourceLocales.includes(locale)
+    );
+    this.log("DEBUG", `Selected locales: ${locales.join(", ")}`);
+
+    return this;
+  }
+
   /**
    * Validates the config object
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.requireLlm=true] - Whether to validate the llm section and its API key, which only translating needs
    * @returns {Linguci} this instance for chaining
    */
-  validateConfig() {
+  validateConfig({ requireLlm = true } = {}) {
     if (!this.config) {
       throw new Error("No configuration loaded. Call readConfig() first.");
     }
@@ -272,22 +513,15 @@ class Linguci {
       throw new Error("Config must include a non-empty 'locales' array");
     }
 
-    const missingLocales = [];
-    for (const locale of config.locales) {
-      if (!this.languageNames[locale]) {
-        missingLocales.push(locale);
-      }
-    }
-    if (missingLocales.length > 0) {
-      throw new Error(
-        `Invalid locale codes: ${missingLocales.join(
-          ", "
-        )}. Must be a key in languageNames: ${Object.keys(
-          this.languageNames
-        ).join(", ")}`
-      );
+    if (
+      config.source_locale !== undefined &&
+      (typeof config.source_locale !== "string" || !config.source_locale.trim())
+    ) {
+      throw new Error("Config 'source_locale' must be a locale code");
     }
 
+    this._validateLocaleNames(config);
+
     if (
       !config.files ||
       !Array.isArray(config.files) ||
@@ -305,18 +539,35 @@ class Linguci {
         throw new Error("Each file entry must have a 'translation' property");
       }
 
+      // Throws if the format is unknown or cannot be inferred
+      const format = getFormat(file);
+
+      if (
+        file.obsolete !== undefined &&
+        !format.obsoletePolicies.includes(file.obsolete)
+      ) {
+        throw new Error(
+          `Invalid obsolete policy for ${file.source}: ${file.obsolete}, ${
+            format.name
+          } files support: ${format.obsoletePolicies.join(", ")}`
+        );
+      }
+
       const sourcePath = path.join(config.base_path, file.source);
       if (!fs.existsSync(sourcePath)) {
         throw new Error(`Source file does not exist: ${file.source}`);
       }
 
-      if (file.translation.includes("%locale%")) {
+      if (!this._getSourceLocale(file)) {
+        this.log(
+          "DEBUG",
+          `No source locale found for ${file.source}, set source_locale`
+        );
+      }
+
+      if (this._hasLocalePlaceholder(file.translation)) {
         const nonExistentTranslationPaths = [];
-        for (const locale of config.locales) {
-          const translationPath = path.join(
-            config.base_path,
-            file.translation.replace("%locale%", locale)
-          );
+        for (const { translationPath } of this._getTranslationTargets(file)) {
           if (!fs.existsSync(translationPath)) {
             nonExistentTranslationPaths.push(translationPath);
           }
@@ -329,16 +580,43 @@ class Linguci {
           );
         }
       } else {
-        if (!fs.existsSync(file.translation)) {
+        const targets = this._getTranslationTargets(file);
+        if (targets.length > 1) {
+          throw new Error(
+            `Translation path ${
+              file.translation
+            } has no locale placeholder but would receive ${targets
+              .map(({ locale }) => locale)
+              .join(
+                ", "
+              )}, use a placeholder like %locale% or set source_locale`
+          );
+        }
+        const translationPath = this._getTranslationPath(file);
+        if (!fs.existsSync(translationPath)) {
           throw new Error(
-            `Translation file does not exist: ${file.translation}`
+            `Translation file does not exist: ${path.relative(
+              config.base_path,
+              translationPath
+            )}`
           );
         }
       }
     }
 
-    // Validate the model
-    this.getModel(this.config.llm);
+    if (config.glossary) {
+      this.glossary = this._loadGlossary(config.glossary);
+    }
+
+    if (config.translation_memory) {
+      this.translationMemory = this._loadTranslationMemory(
+        config.translation_memory
+      );
+    }
+
+    if (requireLlm) {
+      this._validateLlmConfig(config.llm);
+    }
 
     return this;
   }
@@ -346,32 +624,37 @@ class Linguci {
   /**
    * Creates batches of translation entries that need to be translated
    * Processes all source and translation files defined in the config
-   * Organizes entries by source file, translation file, context and batch number
-   * Uses Zod schemas to validate translations
+   * Organizes entries by source file and translation file, in batches cut by
+   * an estimated token budget. Uses Zod schemas to validate translations
    *
    * @param {Object} options - Configuration options
-   * @param {number} batchSize - Number of entries per batch
+   * @param {number} options.batchSize - Maximum number of entries per batch
+   * @param {number} [options.batchTokens=DEFAULT_BATCH_TOKENS] - Estimated tokens of source text per batch, 0 for no limit
+   * @param {boolean} [options.mixContexts=false] - Whether entries of different contexts can share a batch
    * @returns {Linguci} this instance for chaining
    */
-  createTranslationBatches({ batchSize }) {
+  createTranslationBatches({
+    batchSize,
+    batchTokens = this.DEFAULT_BATCH_TOKENS,
+    mixContexts = false,
+  }) {
+    const translationFiles = [];
+
     for (const file of this.config.files) {
-      const sourcePath = path.join(this.config.base_path, file.source);
-      const sourcePo = this._processSourceFile(sourcePath);
+      const format = getFormat(file);
+      const sourceLocale = this._getSourceLocale(file);
 
-      // Extract source locale from source file path if possible
-      const sourceLocale = this.config.locales.find((locale) =>
-        file.source.includes(locale)
+      const sourcePath = path.join(this.config.base_path, file.source);
+      const sourcePo = this._processSourceFile(
+        sourcePath,
+        format,
+        this._getFormatOptions(file, sourceLocale)
       );
 
-      for (const locale of this.config.locales) {
-        // Skip if this locale is the source locale
-        if (locale === sourceLocale) continue;
-
-        // Handle %locale% placeholder in translation path
-        const translationPath = this._getTranslationPath(
-          file.translation,
-          locale
-        );
+      for (const { locale, translationPath } of this._getTranslationTargets(
+        file
+      )) {
+        this.translationLocales[path.resolve(translationPath)] = locale;
 
         // Skip if translation file doesn't exist
         if (!fs.existsSync(translationPath)) {
@@ -382,21 +665,71 @@ class Linguci {
         const translationPo = this._processTranslationFile(
           sourcePath,
           translationPath,
-          sourcePo
+          sourcePo,
+          locale,
+          format,
+          this._getFormatOptions(file, locale),
+          file.obsolete
         );
 
-        // Find entries that need translation
-        const emptyMsgStrs = this._findEntriesNeedingTranslation(translationPo);
+        translationFiles.push({
+          sourcePath,
+          translationPath,
+          sourcePo,
+          translationPo,
+          locale,
+        });
+      }
+    }
+
+    // Learn the existing translations of all files before reusing them
+    if (this.translationMemory) {
+      for (const { sourcePo, translationPo, locale } of translationFiles) {
+        this._addToTranslationMemory(sourcePo, translationPo, locale);
+      }
+    }
+
+    for (const {
+      sourcePath,
+      translationPath,
+      sourcePo,
+      translationPo,
+      locale,
+    } of translationFiles) {
+      // Find entries that need translation
+      const pluralForms = this._getPluralForms(translationPo, locale);
+      const emptyMsgStrs = this._findEntriesNeedingTranslation(
+        translationPo,
+        pluralForms
+      );
 
-        // Create schema batches for this file and locale
-        const schemaBatches = this._createSchemaBatches(
+      if (this.translationMemory) {
+        const filled = this._fillFromTranslationMemory(
           emptyMsgStrs,
-          batchSize
+          sourcePo,
+          locale,
+          pluralForms
         );
-
-        // Store batches for this file and translation path
-        this.translationBatches[sourcePath][translationPath] = schemaBatches;
+        this.translationStats[translationPath].translated += filled;
+        if (filled > 0) {
+          this.log(
+            "INFO",
+            `Filled ${filled} translations from the translation memory in ${translationPath}`
+          );
+        }
       }
+
+      // Create schema batches for this file and locale
+      const schemaBatches = this._createSchemaBatches(
+        emptyMsgStrs,
+        { batchSize, batchTokens, mixContexts },
+        pluralForms,
+        sourcePo,
+        locale
+      );
+
+      // Store batches for this file and translation path
+      this.translationBatches[sourcePath][translationPath] = schemaBatches;
     }
 
     return this;
@@ -404,24 +737,37 @@ class Linguci {
 
   /**
    * Executes translations for all batches and updates PO files
+   * Batches run in a worker pool within the rate limits of the llm config,
+   * and failed requests are retried with exponential backoff
    * @param {Object} options - Configuration options
-   * @param {number} options.languageConcurrency - Number of languages to translate concurrently
+   * @param {number} [options.concurrency=2] - Number of batches to translate concurrently
+   * @param {number} [options.localeConcurrency] - Number of batches of the same locale to translate concurrently, no limit by default
+   * @param {number} [options.languageConcurrency] - Deprecated name of concurrency
    * @param {number} options.maxRetries - Maximum number of retry attempts for failed translations
-   * @param {number} options.retryDelay - Delay between retries in milliseconds
+   * @param {number} options.retryDelay - Delay before the first retry in milliseconds, doubled on every retry
    * @returns {Promise<Linguci>} this instance for chaining
    */
   async executeTranslations({
+    concurrency,
+    localeConcurrency,
     languageConcurrency,
     maxRetries,
     retryDelay,
   } = {}) {
+    const scheduler = new Scheduler({
+      concurrency: concurrency ?? languageConcurrency ?? 2,
+      localeConcurrency: localeConcurrency || Infinity,
+      requestsPerMinute: this.config.llm.requests_per_minute,
+      tokensPerMinute: this.config.llm.tokens_per_minute,
+    });
     this.log(
       "DEBUG",
-      `Starting translation process with options: languageConcurrency=${languageConcurrency}, maxRetries=${maxRetries}, retryDelay=${retryDelay}ms`
+      `Starting translation process with options: concurrency=${scheduler.concurrency}, localeConcurrency=${scheduler.localeConcurrency}, maxRetries=${maxRetries}, retryDelay=${retryDelay}ms`
     );
 
     // Get model from config
     const model = this.getModel(this.config.llm);
+    const modelSettings = this.getModelSettings();
     this.log(
       "DEBUG",
       `Using model: ${this.config.llm.provider}/${this.config.llm.model}`
@@ -437,7 +783,7 @@ class Linguci {
       for (const translationPath in this.translationBatches[sourcePath]) {
         // Extract locale from translation path
         const locale = this._extractLocaleFromPath(translationPath);
-        const language = this.languageNames[locale] || locale;
+        const language = this._getLanguageName(locale);
 
         this.log(
           "DEBUG",
@@ -446,23 +792,13 @@ class Linguci {
 
         // Get the PO object for this translation
         const translationPo = this.translationPos[sourcePath][translationPath];
+        const pluralForms = this._getPluralForms(translationPo, locale);
+        const pluralExamples = getPluralExamples(pluralForms);
 
-        // Process each context and its batches
-        for (const contextKey in this.translationBatches[sourcePath][
-          translationPath
-        ]) {
-          const contextBatches =
-            this.translationBatches[sourcePath][translationPath][contextKey];
-          const batchCount = Object.keys(contextBatches).length;
-
-          this.log(
-            "DEBUG",
-            `Context '${contextKey}' has ${batchCount} batches to translate`
-          );
-
-          // Add each batch as a task
-          for (const batchNumber in contextBatches) {
-            const schema = contextBatches[batchNumber];
+        // Add each batch as a task
+        const batches = this.translationBatches[sourcePath][translationPath];
+        batches.forEach(
+          ({ schema, messages, notes, contexts }, batchNumber) => {
             const messageCount = Object.keys(schema.shape).length;
 
             this.log(
@@ -473,16 +809,20 @@ class Linguci {
             translationTasks.push({
               sourcePath,
               translationPath,
-              contextKey,
               batchNumber,
               schema,
+              messages,
+              notes,
+              contexts,
               language,
               locale,
               translationPo,
+              pluralForms,
+              pluralExamples,
               messageCount,
             });
           }
-        }
+        );
       }
     }
 
@@ -496,149 +836,379 @@ class Linguci {
       const {
         sourcePath,
         translationPath,
-        contextKey,
         batchNumber,
         schema,
+        messages,
+        notes,
+        contexts,
         language,
+        locale,
         translationPo,
+        pluralForms,
+        pluralExamples,
         messageCount,
       } = task;
 
       this.log(
         "DEBUG",
-        `Starting translation task: ${translationPath}, context '${contextKey}', batch #${batchNumber} (${messageCount} messages to ${language})`
+        `Starting translation task: ${translationPath}, batch #${batchNumber} (${messageCount} messages to ${language})`
       );
 
-      let retries = 0;
-      let success = false;
-      let object;
-
-      // Retry loop
-      while (!success && retries <= maxRetries) {
-        try {
-          this.log(
-            "DEBUG",
-            `Sending translation request for batch #${batchNumber} to ${language}`
-          );
+      // Request translations, retrying failed requests
+      const requestTranslations = async (schema, messages, rejections) => {
+        let retries = 0;
 
-          const startTime = Date.now();
-          const result = await generateObject({
-            model,
-            prompt: `Translate the following keys word by word to ${language}. Keep the original format and only translate the text values. Do not add any formatting or explanations.`,
-            schema,
-          });
-          object = result.object;
-          const endTime = Date.now();
+        while (true) {
+          try {
+            const prompt = this._buildPrompt({
+              language,
+              languageTag: this._getLanguageTag(locale),
+              schema,
+              messages,
+              notes,
+              contexts,
+              locale,
+              pluralForms,
+              pluralExamples,
+              rejections,
+            });
 
-          const translationKeys = Object.keys(object).join(", ");
-          this.log(
-            "DEBUG",
-            `Translation successful for batch #${batchNumber} (${
-              endTime - startTime
-            }ms)`
-          );
-          this.log("DEBUG", `Translated keys: ${translationKeys}`);
+            // Roughly 4 characters per token, for the prompt and the translations
+            const request = await scheduler.acquire(
+              this._estimateTokens(prompt) + this._estimateTokens(messages)
+            );
+            this.log(
+              "DEBUG",
+              `Sending translation request for batch #${batchNumber} to ${language}`
+            );
 
-          success = true;
-        } catch (error) {
-          retries++;
-          this.log(
-            "ERROR",
-            `Translation failed for ${translationPath}, context ${contextKey}, batch ${batchNumber}. Retry ${retries}/${maxRetries}`
-          );
-          this.log("ERROR", `Error details: ${error.message}`);
+            const startTime = Date.now();
+            const { object, usage } = await generateObject({
+              ...modelSettings,
+              model,
+              prompt,
+              schema,
+              // Retries are handled here, with the rate limits in mind
+              maxRetries: 0,
+              // Read by the mock provider, other providers ignore it
+              providerOptions: { linguci: { locale } },
+            });
+            const endTime = Date.now();
+            if (Number.isFinite(usage?.totalTokens)) {
+              request.tokens = usage.totalTokens;
+            }
 
-          if (retries <= maxRetries) {
-            // Wait before retrying
+            const translationKeys = Object.keys(object).join(", ");
             this.log(
               "DEBUG",
-              `Waiting ${retryDelay}ms before retry #${retries}`
+              `Translation successful for batch #${batchNumber} (${
+                endTime - startTime
+              }ms)`
             );
-            await new Promise((resolve) => setTimeout(resolve, retryDelay));
-          } else {
+            this.log("DEBUG", `Translated keys: ${translationKeys}`);
+
+            return object;
+          } catch (error) {
+            retries++;
             this.log(
               "ERROR",
-              `Max retries exceeded for ${translationPath}, context ${contextKey}, batch ${batchNumber}`
+              `Translation failed for ${translationPath}, batch ${batchNumber}. Retry ${retries}/${maxRetries}`
             );
-            throw error;
+            this.log("ERROR", `Error details: ${error.message}`);
+
+            if (retries > maxRetries) {
+              this.log(
+                "ERROR",
+                `Max retries exceeded for ${translationPath}, batch ${batchNumber}`
+              );
+              throw error;
+            }
+            if (error.isRetryable === false) {
+              this.log(
+                "ERROR",
+                `Not retrying ${translationPath}, batch ${batchNumber}: the error is not retryable`
+              );
+              throw error;
+            }
+
+            // Wait as long as the provider asked, and hold back the other requests too
+            const retryAfter = getRetryAfter(error);
+            if (retryAfter !== undefined) {
+              scheduler.pause(retryAfter);
+            }
+            const delay = Math.round(
+              retryAfter ?? getBackoffDelay(retries - 1, retryDelay)
+            );
+            this.log("DEBUG", `Waiting ${delay}ms before retry #${retries}`);
+            await sleep(delay);
           }
         }
-      }
+      };
 
-      // Update the PO object with translations
-      if (success && object) {
-        this.log(
-          "DEBUG",
-          `Updating PO object for ${translationPath}, context '${contextKey}'`
-        );
-        this._updateTranslationPoWithResults(translationPo, contextKey, object);
-        this.log(
-          "DEBUG",
-          `PO object updated successfully with ${
-            Object.keys(object).length
-          } translations`
+      // Split a batch whose request keeps failing, so a single entry that breaks
+      // the structured output does not take the whole batch down with it
+      const failures = {};
+      const requestWithBisection = async (
+        schema,
+        messages,
+        rejections,
+        isPartial = false
+      ) => {
+        try {
+          return await requestTranslations(schema, messages, rejections);
+        } catch (error) {
+          const msgids = Object.keys(messages);
+          if (error.isRetryable === false && !isPartial) {
+            throw error;
+          }
+          // Splitting does not help against an error that is not retryable,
+          // but the translations of the rest of the batch are kept
+          if (msgids.length === 1 || error.isRetryable === false) {
+            msgids.forEach((msgid) => {
+              failures[msgid] = error.message;
+            });
+            return {};
+          }
+
+          const halves = [
+            msgids.slice(0, Math.ceil(msgids.length / 2)),
+            msgids.slice(Math.ceil(msgids.length / 2)),
+          ];
+          this.log(
+            "WARN",
+            `Splitting batch #${batchNumber} to ${language} into ${halves[0].length} and ${halves[1].length} messages to isolate the failing entries`
+          );
+
+          const object = {};
+          for (const half of halves) {
+            Object.assign(
+              object,
+              await requestWithBisection(
+                schema.pick(
+                  Object.fromEntries(half.map((msgid) => [msgid, true]))
+                ),
+                Object.fromEntries(
+                  half.map((msgid) => [msgid, messages[msgid]])
+                ),
+                Object.fromEntries(
+                  half
+                    .filter((msgid) => rejections[msgid])
+                    .map((msgid) => [msgid, rejections[msgid]])
+                ),
+                true
+              )
+            );
+          }
+          return object;
+        }
+      };
+
+      // Ask again for translations that break placeholders, markup or ICU syntax
+      const translations = {};
+      const flagged = new Set();
+      let pendingMessages = messages;
+      let pendingSchema = schema;
+      let rejections = {};
+
+      for (let attempt = 0; ; attempt++) {
+        const object = await requestWithBisection(
+          pendingSchema,
+          pendingMessages,
+          rejections,
+          attempt > 0
         );
-      }
 
-      return { success, sourcePath, translationPath };
-    };
+        // Entries whose request failed are not validated or asked again
+        rejections = this._validateTranslations(
+          Object.fromEntries(
+            Object.entries(pendingMessages).filter(
+              ([msgid]) => !failures[msgid]
+            )
+          ),
+          object,
+          locale
+        );
+        for (const msgid in object) {
+          if (!rejections[msgid]) {
+            translations[msgid] = object[msgid];
+          }
+        }
 
-    // Process tasks with concurrency
-    const processTasks = async (tasks) => {
-      const results = [];
+        const rejected = Object.keys(rejections);
+        rejected.forEach((msgid) => flagged.add(msgid));
+        if (rejected.length === 0 || attempt >= maxRetries) break;
 
-      // Process in chunks based on language concurrency
-      for (let i = 0; i < tasks.length; i += languageConcurrency) {
-        const chunk = tasks.slice(i, i + languageConcurrency);
         this.log(
-          "DEBUG",
-          `Processing chunk ${
-            Math.floor(i / languageConcurrency) + 1
-          }/${Math.ceil(tasks.length / languageConcurrency)} with ${
-            chunk.length
-          } tasks`
+          "WARN",
+          `${
+            rejected.length
+          } translations of batch #${batchNumber} to ${language} failed validation. Retry ${
+            attempt + 1
+          }/${maxRetries}`
         );
+        pendingMessages = Object.fromEntries(
+          rejected.map((msgid) => [msgid, messages[msgid]])
+        );
+        pendingSchema = schema.pick(
+          Object.fromEntries(rejected.map((msgid) => [msgid, true]))
+        );
+      }
 
-        const chunkPromises = chunk.map((task) => executeTask(task));
-
-        const chunkResults = await Promise.allSettled(chunkPromises);
-        results.push(...chunkResults);
+      // Leave translations that are still invalid untranslated
+      const stats = this.translationStats[translationPath];
+      stats.translated += Object.keys(translations).length;
+      stats.failed +=
+        Object.keys(rejections).length + Object.keys(failures).length;
+      stats.flagged += flagged.size;
+      for (const msgid in translations) {
+        this.translatedEntries.push({
+          file: translationPath,
+          locale,
+          context: contexts[msgid],
+          msgid,
+          source: messages[msgid],
+          translation: translations[msgid],
+        });
+      }
+      for (const msgid in failures) {
+        this.failedEntries.push({
+          file: translationPath,
+          locale,
+          context: contexts[msgid],
+          msgid,
+          error: failures[msgid],
+        });
+      }
+      for (const msgid in rejections) {
+        this.invalidTranslations.push({
+          file: translationPath,
+          locale,
+          context: contexts[msgid],
+          msgid,
+          error: rejections[msgid].error,
+        });
+      }
 
-        this.log(
-          "DEBUG",
-          `Completed chunk ${
-            Math.floor(i / languageConcurrency) + 1
-          }/${Math.ceil(tasks.length / languageConcurrency)}`
+      // Update the PO object with translations, each in its own context
+      this.log("DEBUG", `Updating PO object for ${translationPath}`);
+      const contextTranslations = {};
+      for (const msgid in translations) {
+        const contextKey = contexts[msgid];
+        contextTranslations[contextKey] = contextTranslations[contextKey] || {};
+        contextTranslations[contextKey][msgid] = translations[msgid];
+      }
+      for (const contextKey in contextTranslations) {
+        this._updateTranslationPoWithResults(
+          translationPo,
+          contextKey,
+          contextTranslations[contextKey],
+          pluralForms
         );
       }
+      this.log(
+        "DEBUG",
+        `PO object updated successfully with ${
+          Object.keys(translations).length
+        } translations`
+      );
+
+      if (this.translationMemory) {
+        for (const msgid in translations) {
+          const { msgid_plural, msgstr } =
+            translationPo.translations[contexts[msgid]][msgid];
+          this.translationMemory.set(
+            locale,
+            contexts[msgid],
+            messages[msgid],
+            msgid_plural ? msgstr : msgstr[0]
+          );
+        }
+      }
 
-      return results;
+      return {
+        success: true,
+        sourcePath,
+        translationPath,
+        failed: Object.keys(rejections).length + Object.keys(failures).length,
+      };
     };
 
     // Execute all translation tasks
     this.log("DEBUG", `Beginning execution of all translation tasks`);
-    const results = await processTasks(translationTasks);
+    const results = await scheduler.run(translationTasks, executeTask);
+
+    // The messages of failed requests stay untranslated
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        const { translationPath, locale, contexts, messages, messageCount } =
+          translationTasks[index];
+        this.translationStats[translationPath].failed += messageCount;
+        for (const msgid in messages) {
+          this.failedEntries.push({
+            file: translationPath,
+            locale,
+            context: contexts[msgid],
+            msgid,
+            error: result.reason?.message || String(result.reason),
+          });
+        }
+      }
+    });
 
-    // Log summary
+    // Log summary, batches with entries left untranslated count as failed
     const successful = results.filter(
-      (r) => r.status === "fulfilled" && r.value?.success
+      (r) => r.status === "fulfilled" && r.value?.success && !r.value.failed
     ).length;
     const failed = results.length - successful;
+    const failedEntries =
+      this.failedEntries.length + this.invalidTranslations.length;
 
     this.log("DEBUG", `Translation process complete`);
     this.log(
       "INFO",
-      `Translation summary: ${successful} successful, ${failed} failed`
-    );
-
-    // Note: No longer writing to files, only updating PO objects in memory
-    this.log(
-      "DEBUG",
-      `PO objects updated in memory only, no files were written`
+      `Translation summary: ${successful} successful, ${failed} failed, ${failedEntries} entries left untranslated`
     );
 
-    return this;
-  }
+    const obsoleteLocales = Object.keys(this.obsoleteEntries);
+    if (obsoleteLocales.length > 0) {
+      this.log(
+        "INFO",
+        `Obsolete entries: ${obsoleteLocales
+          .map((locale) => `${locale}: ${this.obsoleteEntries[locale]}`)
+          .join(", ")}`
+      );
+    }
+
+    if (this.failedEntries.length > 0) {
+      this.log(
+        "WARN",
+        `${this.failedEntries.length} translation requests failed and were left untranslated:`
+      );
+      for (const { file, context, msgid, error } of this.failedEntries) {
+        const key = context ? `${context} / ${msgid}` : msgid;
+        this.log("WARN", `  ${file}: "${key}": ${error}`);
+      }
+    }
+
+    if (this.invalidTranslations.length > 0) {
+      this.log(
+        "WARN",
+        `${this.invalidTranslations.length} translations failed validation and were left untranslated:`
+      );
+      for (const { file, context, msgid, error } of this.invalidTranslations) {
+        const key = context ? `${context} / ${msgid}` : msgid;
+        this.log("WARN", `  ${file}: "${key}": ${error}`);
+      }
+    }
+
+    // Note: No longer writing to files, only updating PO objects in memory
+    this.log(
+      "DEBUG",
+      `PO objects updated in memory only, no files were written`
+    );
+
+    return this;
+  }
 
   /**
    * Writes the translated PO objects to their respective files
@@ -658,12 +1228,29 @@ class Linguci {
         const translationPo = this.translationPos[sourcePath][translationPath];
 
         try {
-          // Compile PO object to buffer
-          const outputBuf = gettextParser.po.compile(translationPo);
+          const format = this.translationFormats[translationPath];
+          const output = format.compile(translationPo);
+
+          // Leave unchanged files alone so they are not committed, comparing
+          // the decoded text so UTF-16 files are not rewritten as UTF-8
+          if (
+            fs.existsSync(translationPath) &&
+            String(output) === this._readFile(translationPath)
+          ) {
+            this.log(
+              "DEBUG",
+              `Unchanged ${format.name} file: ${translationPath}`
+            );
+            continue;
+          }
 
           // Write to file
-          this.log("DEBUG", `Writing PO file: ${translationPath}`);
-          fs.writeFileSync(translationPath, outputBuf);
+          this.log("DEBUG", `Writing ${format.name} file: ${translationPath}`);
+          this._writeFile(translationPath, output);
+          this.writtenFiles.push({
+            file: translationPath,
+            locale: this.translationStats[translationPath]?.locale,
+          });
           filesWritten++;
         } catch (error) {
           this.log(
@@ -676,90 +1263,461 @@ class Linguci {
     }
 
     this.log("INFO", `Translation files written: ${filesWritten}`);
+
+    if (this.translationMemory?.changed) {
+      const memoryPath = path.join(
+        this.config.base_path,
+        this.config.translation_memory.path
+      );
+      this.log("DEBUG", `Writing translation memory: ${memoryPath}`);
+      fs.mkdirSync(path.dirname(memoryPath), { recursive: true });
+      fs.writeFileSync(memoryPath, this.translationMemory.serialize());
+      this.writtenFiles.push({ file: memoryPath, locale: null });
+      this.translationMemory.changed = false;
+    }
+
     return this;
   }
 
   /**
-   * Commits the translation changes to git repository
-   * @param {Object} options - Configuration options
-   * @param {string} options.username - The username to use for the commit
-   * @param {string} options.email - The email to use for the commit
-   * @param {boolean} [options.addAll=false] - Whether to add all changes or only translation files
-   * @returns {Promise<Linguci>} this instance for chaining
+   * Count the translated entries of each locale and file without translating anything
+   * Entries count as missing when a run would translate them, so fuzzy
+   * entries are only missing with translate_fuzzy
+   * @returns {{locales: Array<Object>, files: Array<Object>}} The counts of each locale and file, with their coverage between 0 and 1 and the missing entries of each file
    */
-  async commitChanges({ username, email }) {
-    this.log("DEBUG", "Starting to commit translation changes to git");
+  getCoverage() {
+    const locales = {};
+    const files = [];
+    const createCounts = () => ({
+      total: 0,
+      translated: 0,
+      fuzzy: 0,
+      untranslated: 0,
+    });
+    const withCoverage = (counts) => ({
+      ...counts,
+      coverage: counts.total > 0 ? counts.translated / counts.total : 1,
+    });
 
-    try {
-      let gitConfigCommand = `git config user.name "${username}"`;
-      this.log("DEBUG", `Running: ${gitConfigCommand}`);
-      let gitConfigResult = await this._executeCommand(gitConfigCommand);
-      if (gitConfigResult.error) {
-        throw new Error(`Git config failed: ${gitConfigResult.error}`);
+    for (const {
+      translationPath,
+      locale,
+      sourcePo,
+      translationPo,
+    } of this._readTranslationFiles()) {
+      const pluralForms =
+        translationPo && this._getPluralForms(translationPo, locale);
+      const localeCounts = (locales[locale] = locales[locale] || {
+        locale,
+        ...createCounts(),
+      });
+      const fileCounts = { file: translationPath, locale, ...createCounts() };
+      const missing = [];
+
+      for (const [contextKey, msgid] of this._getTranslatableEntries(
+        sourcePo
+      )) {
+        const entry = translationPo?.translations[contextKey]?.[msgid];
+        const key =
+          !entry ||
+          this._isUntranslated(entry, pluralForms) ||
+          this._needsFuzzyRetranslation(entry)
+            ? "untranslated"
+            : "translated";
+
+        for (const counts of [localeCounts, fileCounts]) {
+          counts.total++;
+          counts[key]++;
+          if (entry && this._isFuzzy(entry)) {
+            counts.fuzzy++;
+          }
+        }
+        if (key === "untranslated") {
+          missing.push({ context: contextKey, msgid });
+        }
       }
 
-      gitConfigCommand = `git config user.email "${email}"`;
-      this.log("DEBUG", `Running: ${gitConfigCommand}`);
-      gitConfigResult = await this._executeCommand(gitConfigCommand);
-      if (gitConfigResult.error) {
-        throw new Error(`Git config failed: ${gitConfigResult.error}`);
+      files.push({ ...withCoverage(fileCounts), missing });
+    }
+
+    return {
+      locales: Object.values(locales).map(withCoverage),
+      files,
+    };
+  }
+
+  /**
+   * Check the translation coverage against the required minimum
+   * @param {Object} [options] - Check options
+   * @param {number} [options.minCoverage=0] - Minimum coverage of every locale between 0 and 1
+   * @param {string[]} [options.requiredLocales=[]] - Locales that must not miss any translation
+   * @returns {{passed: boolean, failures: string[], locales: Array<Object>, files: Array<Object>}} The coverage with a description of each failure
+   * @throws {Error} If a required locale is not in the config
+   */
+  checkCoverage({ minCoverage = 0, requiredLocales = [] } = {}) {
+    const unknown = requiredLocales.filter(
+      (locale) => !this.config.locales.includes(locale)
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Required locales not in the config: ${unknown.join(", ")}`
+      );
+    }
+
+    const coverage = this.getCoverage();
+    const failures = [];
+    for (const { locale, coverage: ratio, untranslated } of coverage.locales) {
+      if (requiredLocales.includes(locale) && untranslated > 0) {
+        failures.push(
+          `${locale} is required but misses ${untranslated} translations`
+        );
+      } else if (ratio < minCoverage) {
+        failures.push(
+          `${locale} coverage ${(ratio * 100).toFixed(1)}% is below ${(
+            minCoverage * 100
+          ).toFixed(1)}%`
+        );
       }
+    }
+
+    for (const failure of failures) {
+      this.log("ERROR", failure);
+    }
+    if (failures.length === 0) {
+      this.log("INFO", "Translation coverage check passed");
+    }
 
-      const gitAddCommand = "git add -A";
+    return { passed: failures.length === 0, failures, ...coverage };
+  }
 
-      // Execute git add command
-      this.log("DEBUG", `Running: ${gitAddCommand}`);
-      const addResult = await this._executeCommand(gitAddCommand);
+  /**
+   * Check the existing translations without translating anything
+   * Translations must keep the placeholders, markup and ICU syntax of their
+   * source and follow the glossary, like new translations
+   * @returns {Array<{file: string, locale: string, context: string, msgid: string, error: string}>} The invalid translations
+   */
+  checkTranslations() {
+    const problems = [];
+
+    for (const {
+      translationPath,
+      locale,
+      sourcePo,
+      translationPo,
+    } of this._readTranslationFiles()) {
+      if (!translationPo) continue;
+      const pluralForms = this._getPluralForms(translationPo, locale);
+
+      // Validate each context like a batch of translations
+      const contexts = {};
+      for (const [
+        contextKey,
+        msgid,
+        sourceEntry,
+      ] of this._getTranslatableEntries(sourcePo)) {
+        const entry = translationPo.translations[contextKey]?.[msgid];
+        if (!entry || this._isUntranslated(entry, pluralForms)) continue;
+
+        contexts[contextKey] = contexts[contextKey] || {
+          messages: {},
+          object: {},
+        };
+        contexts[contextKey].messages[msgid] = this._getSourceText(sourceEntry);
+        contexts[contextKey].object[msgid] = entry.msgid_plural
+          ? entry.msgstr.slice(0, pluralForms.nplurals)
+          : entry.msgstr[0];
+      }
 
-      if (addResult.error) {
-        throw new Error(`Git add failed: ${addResult.error}`);
+      for (const contextKey in contexts) {
+        const { messages, object } = contexts[contextKey];
+        const rejections = this._validateTranslations(messages, object, locale);
+        for (const msgid in rejections) {
+          problems.push({
+            file: translationPath,
+            locale,
+            context: contextKey,
+            msgid,
+            error: rejections[msgid].error,
+          });
+        }
       }
+    }
+
+    return problems;
+  }
 
-      // Get git status to see what's being committed
-      const statusResult = await this._executeCommand("git status --porcelain");
+  /**
+   * Create a report of the changes to each translation file
+   * Diffs compare the compiled translations with the files on disk, so they
+   * show what writeTranslations would change
+   * @param {Object} [options] - Report options
+   * @param {boolean} [options.dryRun=false] - Whether the changes were not written
+   * @returns {Object} The report with totals, and counts and a unified diff per file
+   */
+  createReport({ dryRun = false } = {}) {
+    const files = [];
+    const totals = {
+      added: 0,
+      translated: 0,
+      failed: 0,
+      flagged: 0,
+      obsolete: 0,
+    };
 
-      if (statusResult.error) {
-        throw new Error(`Git status failed: ${statusResult.error}`);
+    for (const sourcePath in this.translationPos) {
+      for (const translationPath in this.translationPos[sourcePath]) {
+        const translationPo = this.translationPos[sourcePath][translationPath];
+        const format = this.translationFormats[translationPath];
+        const stats = this.translationStats[translationPath];
+        const file = path
+          .relative(path.resolve(this.workspace), path.resolve(translationPath))
+          .split(path.sep)
+          .join("/");
+
+        const before = this._readFile(translationPath);
+        const after = format.compile(translationPo).toString();
+        const diff =
+          before === after
+            ? ""
+            : createTwoFilesPatch(
+                `a/${file}`,
+                `b/${file}`,
+                before,
+                after,
+                undefined,
+                undefined,
+                { headerOptions: FILE_HEADERS_ONLY }
+              );
+
+        for (const key in totals) {
+          totals[key] += stats[key];
+        }
+        files.push({ file, ...stats, changed: before !== after, diff });
       }
+    }
 
-      // Count changed files by type
-      const changedFiles = statusResult.stdout
-        .split("\n")
-        .filter((line) => line.trim());
-      const totalChanges = changedFiles.length;
+    return {
+      dryRun,
+      provider: this.config.llm.provider,
+      model: this.config.llm.model,
+      totals: {
+        files: files.length,
+        changedFiles: files.filter(({ changed }) => changed).length,
+        ...totals,
+      },
+      files,
+      // The same entries as the failed_entries output
+      failedEntries: this.getFailedEntries(),
+      invalidTranslations: this._getRelativeEntries(this.invalidTranslations),
+    };
+  }
 
-      if (totalChanges === 0) {
-        this.log("INFO", "No changes to commit");
-        return this;
+  /**
+   * Get every entry left untranslated by this run, because its request or
+   * its validation failed
+   * @returns {Array<{file: string, locale: string, context: string, msgid: string, error: string}>} The failed entries with paths relative to the workspace
+   */
+  getFailedEntries() {
+    return this._getRelativeEntries([
+      ...this.failedEntries,
+      ...this.invalidTranslations,
+    ]);
+  }
+
+  /**
+   * Copy entries with their file paths made relative to the workspace
+   * @private
+   * @param {Array<{file: string}>} entries - The entries with absolute file paths
+   * @returns {Array<{file: string}>} The entries with paths relative to the workspace, using forward slashes
+   */
+  _getRelativeEntries(entries) {
+    return entries.map((entry) => ({
+      ...entry,
+      file: path
+        .relative(path.resolve(this.workspace), path.resolve(entry.file))
+        .split(path.sep)
+        .join("/"),
+    }));
+  }
+
+  /**
+   * Check the failed entries of the run against a fail_on policy
+   * @param {string|number} [failOn="never"] - never, any, a maximum number of failed entries, or a maximum percentage like "5%"
+   * @returns {{passed: boolean, failed: number, total: number, message: string}} The result, with a message if the policy is not met
+   * @throws {Error} If the policy is invalid
+   */
+  checkFailurePolicy(failOn = "never") {
+    const policy = String(failOn).trim();
+    const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(policy);
+    if (!["never", "any"].includes(policy) && !match) {
+      throw new Error(
+        `Invalid fail_on: ${failOn}, must be never, any, a number of entries or a percentage like 5%`
+      );
+    }
+
+    let failed = 0;
+    let total = 0;
+    for (const translationPath in this.translationStats) {
+      const stats = this.translationStats[translationPath];
+      failed += stats.failed;
+      total += stats.translated + stats.failed;
+    }
+
+    let passed = true;
+    if (policy === "any") {
+      passed = failed === 0;
+    } else if (match) {
+      const limit = parseFloat(match[1]);
+      passed = match[2]
+        ? total === 0 || (failed / total) * 100 <= limit
+        : failed <= limit;
+    }
+
+    return {
+      passed,
+      failed,
+      total,
+      message: passed
+        ? ""
+        : `${failed} of ${total} entries were left untranslated, fail_on is ${policy}`,
+    };
+  }
+
+  /**
+   * Write the change report as JSON, and the diffs of all files next to it
+   * @param {Object} options - Report options
+   * @param {string} options.reportPath - Path of the JSON report, the diffs are written to the same path with a .diff extension
+   * @param {boolean} [options.dryRun=false] - Whether the changes were not written
+   * @returns {Linguci} this instance for chaining
+   */
+  writeReport({ reportPath, dryRun = false }) {
+    const report = this.createReport({ dryRun });
+    const diffPath = reportPath.replace(/(\.json)?$/, ".diff");
+
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+    fs.writeFileSync(diffPath, report.files.map(({ diff }) => diff).join(""));
+
+    const { totals } = report;
+    this.log(
+      "INFO",
+      `${dryRun ? "Dry run: " : ""}${totals.changedFiles} of ${
+        totals.files
+      } translation files ${dryRun ? "would change" : "changed"}: ${
+        totals.added
+      } added, ${totals.translated} translated, ${totals.failed} failed, ${
+        totals.obsolete
+      } obsolete entries`
+    );
+    for (const {
+      file,
+      changed,
+      added,
+      translated,
+      failed,
+      obsolete,
+    } of report.files) {
+      if (changed || failed) {
+        this.log(
+          "INFO",
+          `  ${file}: ${added} added, ${translated} translated, ${failed} failed, ${obsolete} obsolete`
+        );
       }
+    }
+    this.log("INFO", `Report written to ${reportPath}, diffs to ${diffPath}`);
 
-      this.hasTranslationChanges = true;
+    this.report = report;
+    return this;
+  }
+
+  /**
+   * Commits the translation files written by writeTranslations to git repository
+   * Other changes in the workspace, like build artifacts, are not staged
+   * @param {Object} options - Configuration options
+   * @param {string} options.username - The username to use for the commit
+   * @param {string} options.email - The email to use for the commit
+   * @param {string} [options.commitPer="run"] - Make one commit per run, locale or file
+   * @param {string} [options.messageTemplate] - Commit message with {{locales}}, {{count}} and {{files}} placeholders
+   * @returns {Promise<Linguci>} this instance for chaining
+   */
+  async commitChanges({
+    username,
+    email,
+    commitPer = "run",
+    messageTemplate = this.DEFAULT_COMMIT_MESSAGE,
+  }) {
+    this.log("DEBUG", "Starting to commit translation changes to git");
+
+    if (!["run", "locale", "file"].includes(commitPer)) {
+      throw new Error(
+        `Invalid commit_per: ${commitPer}, must be run, locale or file`
+      );
+    }
 
-      // Default dynamic commit message
-      const changedLocales = this._getChangedLocales(changedFiles);
+    try {
+      await this._git(["config", "user.name", username]);
+      await this._git(["config", "user.email", email]);
+
+      // Group the written files into commits, the translation memory gets its own
+      const groups = new Map();
+      for (const { file, locale } of this.writtenFiles) {
+        const key =
+          locale === null ? "memory" : { run: "run", locale, file }[commitPer];
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push({ file, locale });
+      }
+
+      let commits = 0;
+      for (const [key, files] of groups) {
+        const paths = files.map(({ file }) =>
+          path.relative(path.resolve(this.workspace), path.resolve(file))
+        );
 
-      const commitMessage =
-        `linguci: update translations for ${changedLocales.length} locales\n` +
-        `Locales: ${changedLocales.join(", ")}`;
+        // Stage only the files of this commit
+        await this._git(["add", "--", ...paths]);
 
-      // Execute git commit command
-      const commitCommand = `git commit -m "${commitMessage.replace(
-        /"/g,
-        '\\"'
-      )}"`;
-      this.log("DEBUG", `Running: ${commitCommand}`);
+        // Check whether the staged files differ from the last commit
+        const { exitCode } = await this._git(["diff", "--cached", "--quiet"], {
+          allowedExitCodes: [0, 1],
+        });
+        if (exitCode === 0) {
+          this.log("DEBUG", `No changes to commit in ${paths.join(", ")}`);
+          continue;
+        }
 
-      const commitResult = await this._executeCommand(commitCommand);
+        const locales = [
+          ...new Set(files.map(({ locale }) => locale).filter(Boolean)),
+        ];
+        const count = files.reduce(
+          (sum, { file }) =>
+            sum + (this.translationStats[file]?.translated || 0),
+          0
+        );
+        const commitMessage =
+          key === "memory"
+            ? "linguci: update translation memory"
+            : messageTemplate
+                .replaceAll("{{locales}}", locales.join(", "))
+                .replaceAll("{{count}}", String(count))
+                .replaceAll("{{files}}", paths.join(", "));
+
+        await this._git(["commit", "-m", commitMessage]);
+        this.log("DEBUG", `Commit message: ${commitMessage}`);
+        commits++;
+      }
 
-      if (commitResult.error) {
-        throw new Error(`Git commit failed: ${commitResult.error}`);
+      if (commits === 0) {
+        this.log("INFO", "No changes to commit");
+        return this;
       }
 
+      this.hasTranslationChanges = true;
       this.log(
         "INFO",
-        `Successfully committed ${totalChanges} changed files to git`
+        `Successfully committed ${this.writtenFiles.length} changed files in ${commits} commits to git`
       );
-      this.log("DEBUG", `Commit message: ${commitMessage}`);
     } catch (error) {
       this.log("ERROR", `Failed to commit changes: ${error.message}`);
       throw error;
@@ -769,14 +1727,155 @@ class Linguci {
   }
 
   /**
-   * Creates a pull request for translation changes
+   * Create the pull request description from the results of the run
+   * The template can use {{summary}} for the table of changes per locale,
+   * {{failed}} for the entries left untranslated, {{samples}} for collapsible
+   * source and translation pairs, and {{model}} for the model and provider.
+   * A template without any of them gets all sections appended
+   * @param {string} [template=""] - The pull request body template
+   * @returns {string} The pull request body
+   */
+  createPullRequestBody(template = "") {
+    const locales = {};
+    for (const translationPath in this.translationStats) {
+      const { locale, translated, failed, flagged } =
+        this.translationStats[translationPath];
+      const counts = (locales[locale] = locales[locale] || {
+        translated: 0,
+        failed: 0,
+        flagged: 0,
+      });
+      counts.translated += translated;
+      counts.failed += failed;
+      counts.flagged += flagged;
+    }
+
+    const rows = Object.entries(locales).filter(([, counts]) =>
+      Object.values(counts).some(Boolean)
+    );
+    const summary = rows.length
+      ? [
+          "| Locale | Translated | Failed | Flagged by validation |",
+          "| --- | ---: | ---: | ---: |",
+          ...rows.map(
+            ([locale, { translated, failed, flagged }]) =>
+              `| ${locale} | ${translated} | ${failed} | ${flagged} |`
+          ),
+        ].join("\n")
+      : "No new translations.";
+
+    const samples = Object.keys(locales)
+      .map((locale) => {
+        const entries = this.translatedEntries.filter(
+          (entry) => entry.locale === locale
+        );
+        if (entries.length === 0) return "";
+
+        const shown = entries.slice(0, this.PR_SAMPLES_PER_LOCALE);
+        const more = entries.length - shown.length;
+        return [
+          `<details>`,
+          `<summary>${locale}: ${entries.length} translations</summary>`,
+          "",
+          "| Source | Translation |",
+          "| --- | --- |",
+          ...shown.map(
+            ({ source, translation }) =>
+              `| ${this._formatTableCell(source)} | ${this._formatTableCell(
+                translation
+              )} |`
+          ),
+          ...(more > 0 ? ["", `And ${more} more.`] : []),
+          "",
+          `</details>`,
+        ].join("\n");
+      })
+      .filter(Boolean)
+      .join("\n\n");
+
+    const failedEntries = this.getFailedEntries();
+    const shownFailures = failedEntries.slice(0, this.PR_FAILED_ENTRIES);
+    const failed = failedEntries.length
+      ? [
+          `<details>`,
+          `<summary>Left untranslated: ${failedEntries.length} entries</summary>`,
+          "",
+          "| File | Locale | Key | Error |",
+          "| --- | --- | --- | --- |",
+          ...shownFailures.map(
+            ({ file, locale, context, msgid, error }) =>
+              `| ${this._formatTableCell(
+                file
+              )} | ${locale} | ${this._formatTableCell(
+                context ? `${context} / ${msgid}` : msgid
+              )} | ${this._formatTableCell(error)} |`
+          ),
+          ...(failedEntries.length > shownFailures.length
+            ? ["", `And ${failedEntries.length - shownFailures.length} more.`]
+            : []),
+          "",
+          `</details>`,
+        ].join("\n")
+      : "";
+
+    const model = `Translated with \`${this.config.llm.model}\` (${this.config.llm.provider}).`;
+
+    const sections = { summary, failed, samples, model };
+    const placeholders = Object.keys(sections).map((name) => `{{${name}}}`);
+    if (!placeholders.some((placeholder) => template.includes(placeholder))) {
+      return [template, ...Object.values(sections)]
+        .filter(Boolean)
+        .join("\n\n")
+        .trim();
+    }
+
+    return Object.entries(sections)
+      .reduce(
+        (body, [name, section]) => body.replaceAll(`{{${name}}}`, section),
+        template
+      )
+      .trim();
+  }
+
+  /**
+   * Creates a pull request for translation changes through the GitHub REST API
+   * With a branch name, the branch is recreated from the base branch and
+   * force-pushed on every run, and its open pull request is updated instead of
+   * opening a new one. A closed pull request is left alone and a new one is
+   * opened, so closing it starts fresh
    * @param {Object} options - Configuration options
+   * @param {Object} options.octokit - Authenticated Octokit client, e.g. from getOctokit of @actions/github
+   * @param {string} options.owner - Owner of the repository
+   * @param {string} options.repo - Name of the repository
    * @param {string} options.branchPrefix - Prefix for the new branch name
+   * @param {string} [options.branchName] - Stable branch name to reuse on every run
    * @param {string} options.prTitle - Custom PR title
-   * @param {string} options.prBody - Custom PR body
+   * @param {string} options.prBody - PR body template, see createPullRequestBody
+   * @param {string[]} [options.labels=[]] - Labels to add
+   * @param {string[]} [options.reviewers=[]] - Users to request a review from
+   * @param {string[]} [options.teamReviewers=[]] - Team slugs to request a review from
+   * @param {string[]} [options.assignees=[]] - Users to assign
+   * @param {string} [options.milestone] - Milestone number or title
+   * @param {boolean} [options.draft=false] - Whether to open the pull request as a draft
+   * @param {string} [options.autoMerge] - Merge method to enable auto-merge with: merge, squash or rebase
    * @returns {Promise<Linguci>} this instance for chaining
    */
-  async createPullRequest({ branchPrefix, prTitle, prBody }) {
+  async createPullRequest({
+    octokit,
+    owner,
+    repo,
+    branchPrefix,
+    branchName,
+    prTitle,
+    prBody,
+    labels = [],
+    reviewers = [],
+    teamReviewers = [],
+    assignees = [],
+    milestone,
+    draft = false,
+    autoMerge,
+  }) {
     this.log("DEBUG", "Starting pull request creation process");
 
     // Skip if no translation changes
@@ -797,63 +1896,88 @@ class Linguci {
         .slice(0, 19);
 
       // Get the default branch from git
-      const getCurrentBranch = await this._executeCommand(
-        "git rev-parse --abbrev-ref HEAD"
-      );
-
-      if (getCurrentBranch.error) {
-        throw new Error(
-          `Failed to get default branch: ${getCurrentBranch.error}`
-        );
-      }
-
-      const baseBranch = getCurrentBranch.stdout.trim();
+      const { stdout } = await this._git(["rev-parse", "--abbrev-ref", "HEAD"]);
+      const baseBranch = stdout.trim();
       this.log("DEBUG", `Using base branch: ${baseBranch}`);
 
-      // Create branch name with timestamp
-      const newBranch = `${branchPrefix}-${timestamp}`;
+      // Create branch name with timestamp, unless a stable branch is reused
+      const newBranch = branchName || `${branchPrefix}-${timestamp}`;
 
-      // Create and checkout the new branch
+      // Create and checkout the new branch, a stable branch is reset to the base branch
       this.log("DEBUG", `Creating and checking out new branch: ${newBranch}`);
-      const createBranchResult = await this._executeCommand(
-        `git checkout -b ${newBranch}`
-      );
-
-      if (createBranchResult.error) {
-        throw new Error(`Failed to create branch: ${createBranchResult.error}`);
-      }
+      await this._git(["checkout", branchName ? "-B" : "-b", newBranch]);
 
-      // Push the branch to remote
+      // Push the branch to remote, replacing the previous run of a stable branch
       this.log("DEBUG", `Pushing branch ${newBranch} to remote`);
-      const pushResult = await this._executeCommand(
-        `git push -u origin ${newBranch}`
-      );
-
-      if (pushResult.error) {
-        throw new Error(`Failed to push branch: ${pushResult.error}`);
-      }
-
-      // Use static title and body for PR
+      await this._git([
+        "push",
+        ...(branchName ? ["--force"] : []),
+        "-u",
+        "origin",
+        newBranch,
+      ]);
+
+      // Use static title and a body generated from the run results
       const title = prTitle;
-      const body = prBody;
-
-      // Create PR using GitHub CLI
-      this.log("DEBUG", "Creating pull request using GitHub CLI");
-      const createPrCommand = `gh pr create --base ${baseBranch} --title "${title.replace(
-        /"/g,
-        '\\"'
-      )}" --body "${body.replace(/"/g, '\\"')}"`;
-
-      const prResult = await this._executeCommand(createPrCommand);
-
-      if (prResult.error) {
-        throw new Error(`Failed to create PR: ${prResult.error}`);
+      const body = this.createPullRequestBody(prBody);
+
+      // Update the open pull request of a stable branch
+      const openPr = branchName
+        ? await this._findOpenPullRequest(octokit, {
+            owner,
+            repo,
+            branch: newBranch,
+            baseBranch,
+          })
+        : null;
+
+      let pullRequest;
+      if (openPr) {
+        this.log("DEBUG", `Updating pull request #${openPr.number}`);
+        ({ data: pullRequest } = await octokit.rest.pulls.update({
+          owner,
+          repo,
+          pull_number: openPr.number,
+          title,
+          body,
+        }));
+        this.log(
+          "INFO",
+          `Successfully updated pull request: ${pullRequest.html_url}`
+        );
+      } else {
+        this.log("DEBUG", "Creating pull request using the GitHub API");
+        ({ data: pullRequest } = await octokit.rest.pulls.create({
+          owner,
+          repo,
+          title,
+          body,
+          head: newBranch,
+          base: baseBranch,
+          draft,
+        }));
+        this.log(
+          "INFO",
+          `Successfully created pull request: ${pullRequest.html_url}`
+        );
       }
 
-      // Extract PR URL from result
-      const prUrl = prResult.stdout.trim();
-
-      this.log("INFO", `Successfully created pull request: ${prUrl}`);
+      this.pullRequest = {
+        number: pullRequest.number,
+        url: pullRequest.html_url,
+      };
+
+      await this._updatePullRequestMetadata(octokit, {
+        owner,
+        repo,
+        pullRequest,
+        labels,
+        reviewers,
+        teamReviewers,
+        assignees,
+        milestone,
+        autoMerge,
+      });
     } catch (error) {
       this.log("ERROR", `Failed to create pull request: ${error.message}`);
       throw error;
@@ -863,63 +1987,263 @@ class Linguci {
   }
 
   /**
-   * Extract changed locales from git status output
+   * Format a source text or translation as a Markdown table cell
+   * @private
+   * @param {string|string[]|Object<string, string>} text - The text or its plural forms
+   * @returns {string} The escaped cell content, with plural forms on separate lines
+   */
+  _formatTableCell(text) {
+    const forms =
+      typeof text === "string"
+        ? [text]
+        : Array.isArray(text)
+        ? text
+        : Object.values(text);
+    return forms
+      .map((form) =>
+        form
+          .replace(/&/g, "&amp;")
+          .replace(/</g, "&lt;")
+          .replace(/>/g, "&gt;")
+          .replace(/\|/g, "\\|")
+          .replace(/\r?\n/g, "<br>")
+      )
+      .join("<br>");
+  }
+
+  /**
+   * Find the open pull request of a branch
    * @private
-   * @param {string[]} changedFiles - Array of changed file paths from git status
-   * @returns {string[]} Array of changed locale codes
+   * @param {Object} octokit - Authenticated Octokit client
+   * @param {Object} options - Search options
+   * @param {string} options.owner - Owner of the repository
+   * @param {string} options.repo - Name of the repository
+   * @param {string} options.branch - The head branch
+   * @param {string} options.baseBranch - The base branch
+   * @returns {Promise<Object|null>} The pull request, or null if there is none
    */
-  _getChangedLocales(changedFiles) {
-    const locales = new Set();
+  async _findOpenPullRequest(octokit, { owner, repo, branch, baseBranch }) {
+    const { data: pullRequests } = await octokit.rest.pulls.list({
+      owner,
+      repo,
+      head: `${owner}:${branch}`,
+      base: baseBranch,
+      state: "open",
+    });
+    return pullRequests[0] || null;
+  }
 
-    for (const file of changedFiles) {
-      // Extract file path from git status line (remove status indicators)
-      const filePath = file.substring(3);
+  /**
+   * Add labels, reviewers, assignees and a milestone to a pull request and
+   * enable auto-merge
+   * Failures are logged as warnings, since the pull request itself exists
+   * @private
+   * @param {Object} octokit - Authenticated Octokit client
+   * @param {Object} options - The metadata, see createPullRequest
+   * @param {Object} options.pullRequest - The pull request from the GitHub API
+   */
+  async _updatePullRequestMetadata(
+    octokit,
+    {
+      owner,
+      repo,
+      pullRequest,
+      labels,
+      reviewers,
+      teamReviewers,
+      assignees,
+      milestone,
+      autoMerge,
+    }
+  ) {
+    const issue = { owner, repo, issue_number: pullRequest.number };
+    const updates = [];
+
+    if (labels.length > 0) {
+      updates.push([
+        "add labels",
+        () => octokit.rest.issues.addLabels({ ...issue, labels }),
+      ]);
+    }
+    if (assignees.length > 0) {
+      updates.push([
+        "add assignees",
+        () => octokit.rest.issues.addAssignees({ ...issue, assignees }),
+      ]);
+    }
+    if (reviewers.length > 0 || teamReviewers.length > 0) {
+      updates.push([
+        "request reviewers",
+        () =>
+          octokit.rest.pulls.requestReviewers({
+            owner,
+            repo,
+            pull_number: pullRequest.number,
+            reviewers,
+            team_reviewers: teamReviewers,
+          }),
+      ]);
+    }
+    if (milestone) {
+      updates.push([
+        "set milestone",
+        async () =>
+          octokit.rest.issues.update({
+            ...issue,
+            milestone: await this._getMilestoneNumber(octokit, {
+              owner,
+              repo,
+              milestone,
+            }),
+          }),
+      ]);
+    }
+    if (autoMerge) {
+      updates.push([
+        "enable auto-merge",
+        () =>
+          octokit.graphql(
+            `mutation($pullRequestId: ID!, $mergeMethod: PullRequestMergeMethod!) {
+              enablePullRequestAutoMerge(input: { pullRequestId: $pullRequestId, mergeMethod: $mergeMethod }) {
+                clientMutationId
+              }
+            }`,
+            {
+              pullRequestId: pullRequest.node_id,
+              mergeMethod: autoMerge.toUpperCase(),
+            }
+          ),
+      ]);
+    }
 
-      // Try to extract locale from path
-      const locale = this._extractLocaleFromPath(filePath);
-      if (locale) {
-        locales.add(locale);
+    for (const [action, update] of updates) {
+      try {
+        this.log("DEBUG", `Pull request #${pullRequest.number}: ${action}`);
+        await update();
+      } catch (error) {
+        this.log(
+          "WARN",
+          `Failed to ${action} on pull request #${pullRequest.number}: ${error.message}`
+        );
       }
     }
+  }
+
+  /**
+   * Get the number of a milestone from its number or title
+   * @private
+   * @param {Object} octokit - Authenticated Octokit client
+   * @param {Object} options - Search options
+   * @param {string} options.owner - Owner of the repository
+   * @param {string} options.repo - Name of the repository
+   * @param {string} options.milestone - The milestone number or title
+   * @returns {Promise<number>} The milestone number
+   * @throws {Error} If there is no open milestone with the title
+   */
+  async _getMilestoneNumber(octokit, { owner, repo, milestone }) {
+    if (/^\d+$/.test(milestone)) {
+      return Number(milestone);
+    }
 
-    return Array.from(locales);
+    const milestones = await octokit.paginate(
+      octokit.rest.issues.listMilestones,
+      { owner, repo, state: "open" }
+    );
+    const match = milestones.find(({ title }) => title === milestone);
+    if (!match) {
+      throw new Error(`No open milestone titled "${milestone}"`);
+    }
+    return match.number;
   }
 
   /**
-   * Execute a shell command and return the result
+   * Run a git command in the workspace
+   * Warnings on stderr are logged at WARN even when git succeeds, since git
+   * reports them there with exit code 0. The rest of stderr is only logged
+   * at DEBUG
    * @private
-   * @param {string} command - The command to execute
-   * @returns {Promise<Object>} Object with stdout, stderr, and error properties
-   */
-  async _executeCommand(command) {
-    return new Promise(async (resolve) => {
-      // Use dynamic import for ES modules
-      const { exec } = await import("child_process");
-
-      exec(command, { cwd: this.workspace }, (error, stdout, stderr) => {
-        resolve({
-          stdout: stdout ? stdout.toString() : "",
-          stderr: stderr ? stderr.toString() : "",
-          error,
-        });
-      });
+   * @param {string[]} args - The git arguments
+   * @param {Object} [options] - Run options
+   * @param {number[]} [options.allowedExitCodes] - Exit codes that do not fail the command
+   * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>} The output and exit code
+   * @throws {Error} If git fails, with its exit code and stderr
+   */
+  async _git(args, { allowedExitCodes } = {}) {
+    this.log("DEBUG", `Running: ${formatCommand("git", args)}`);
+    const result = await this.runCommand("git", args, {
+      cwd: this.workspace,
+      timeout: this.commandTimeout,
+      allowedExitCodes,
     });
+
+    const lines = result.stderr.split("\n").filter((line) => line.trim());
+    const warnings = lines.filter((line) =>
+      this.GIT_WARNING_LINES.some((pattern) => pattern.test(line))
+    );
+    if (warnings.length > 0) {
+      this.log("WARN", `git ${args[0]}: ${warnings.join("\n")}`);
+    }
+    if (lines.length > warnings.length) {
+      this.log("DEBUG", `git ${args[0]}: ${result.stderr.trim()}`);
+    }
+    return result;
   }
 
   /**
-   * Extract locale code from translation file path
+   * Get the locale of a source file
+   * The source_locale setting wins, otherwise it is the configured locale
+   * whose translation path is the source file itself, so a path is never
+   * searched for locale codes
+   * @private
+   * @param {Object} file - The files[] entry from the config
+   * @returns {string|undefined} The source locale, if it is set or the file mapping tells
+   */
+  _getSourceLocale(file) {
+    if (this.config.source_locale) {
+      return this.config.source_locale;
+    }
+    if (!this._hasLocalePlaceholder(file.translation)) {
+      return undefined;
+    }
+
+    const sourcePath = path.normalize(file.source);
+    return this.config.locales.find(
+      (locale) =>
+        path.normalize(this._fillPathTemplate(file, locale)) === sourcePath
+    );
+  }
+
+  /**
+   * Get the locales a files[] entry is translated into, with their paths
+   * The source locale is left out, and so is any locale whose translation
+   * path is the source file, so the source is never overwritten
+   * @private
+   * @param {Object} file - The files[] entry from the config
+   * @returns {Array<{locale: string, translationPath: string}>} The target locales and translation paths
+   */
+  _getTranslationTargets(file) {
+    const sourceLocale = this._getSourceLocale(file);
+    const sourcePath = path.resolve(this.config.base_path, file.source);
+
+    return this.config.locales
+      .filter((locale) => locale !== sourceLocale)
+      .map((locale) => ({
+        locale,
+        translationPath: this._getTranslationPath(file, locale),
+      }))
+      .filter(
+        ({ translationPath }) => path.resolve(translationPath) !== sourcePath
+      );
+  }
+
+  /**
+   * Get the locale a translation file was generated for
    * @private
    * @param {string} translationPath - Path to the translation file
-   * @returns {string|null} The locale code or null if not found
+   * @returns {string|null} The locale code or null if the path is not a translation path of the run
    */
   _extractLocaleFromPath(translationPath) {
-    // Try to match any of the configured locales in the path
-    for (const locale of this.config.locales) {
-      if (translationPath.includes(locale)) {
-        return locale;
-      }
-    }
-    return null;
+    return this.translationLocales[path.resolve(translationPath)] ?? null;
   }
 
   /**
@@ -928,8 +2252,14 @@ class Linguci {
    * @param {Object} translationPo - The translation PO object
    * @param {string} contextKey - The context key
    * @param {Object} object - The translation object
+   * @param {{nplurals: number, plural: string}} pluralForms - Plural forms of the translation locale
    */
-  _updateTranslationPoWithResults(translationPo, contextKey, object) {
+  _updateTranslationPoWithResults(
+    translationPo,
+    contextKey,
+    object,
+    pluralForms
+  ) {
     if (!translationPo.translations[contextKey]) {
       return;
     }
@@ -939,6 +2269,16 @@ class Linguci {
     // Update each msgid with its translation
     for (const msgid in object) {
       if (context[msgid]) {
+        if (context[msgid].msgid_plural) {
+          // Size the plural translations to the locale's number of forms
+          const forms = Array.isArray(object[msgid]) ? object[msgid] : [];
+          context[msgid].msgstr = Array.from(
+            { length: pluralForms.nplurals },
+            (_, index) => (forms[index] ? forms[index].trim() : "")
+          );
+          continue;
+        }
+
         // Ensure the translation is a non-empty string
         const translation = object[msgid] ? object[msgid].trim() : "";
 
@@ -946,55 +2286,741 @@ class Linguci {
         context[msgid].msgstr = [translation];
       }
     }
+
+    for (const msgid in object) {
+      if (context[msgid]) {
+        this._updateTranslatedFlags(context[msgid]);
+      }
+    }
   }
 
   /**
-   * Get the full translation path with locale substitution if needed
+   * Check whether an entry has the gettext fuzzy flag
    * @private
-   * @param {string} translationPathTemplate - The translation path template
-   * @param {string} locale - The locale code
-   * @returns {string} The full translation path
+   * @param {Object} entry - The PO entry
+   * @returns {boolean} True if the entry is fuzzy
    */
-  _getTranslationPath(translationPathTemplate, locale) {
-    return path.join(
-      this.config.base_path,
-      translationPathTemplate.includes("%locale%")
-        ? translationPathTemplate.replace("%locale%", locale)
-        : translationPathTemplate
-    );
+  _isFuzzy(entry) {
+    return (entry.comments?.flag || "")
+      .split(",")
+      .some((flag) => flag.trim() === "fuzzy");
   }
 
   /**
-   * Process a source file and return its PO object
+   * Check whether a fuzzy entry must be translated again
+   * With mark_fuzzy, fuzzy entries without previous strings are translations
+   * written by an earlier run that wait for review, so they are left alone
    * @private
-   * @param {string} sourcePath - Path to the source file
-   * @returns {Object} The parsed PO object
+   * @param {Object} entry - The PO entry
+   * @returns {boolean} True if the entry must be translated again
    */
-  _processSourceFile(sourcePath) {
-    const sourceContent = fs.readFileSync(sourcePath, "utf8");
-    return gettextParser.po.parse(sourceContent);
+  _needsFuzzyRetranslation(entry) {
+    if (!this.config.translate_fuzzy || !this._isFuzzy(entry)) {
+      return false;
+    }
+    return !this.config.mark_fuzzy || Boolean(entry.comments?.previous);
   }
 
   /**
-   * Process a translation file, ensure all source entries exist in it
+   * Update the flags of an entry that was just translated
+   * Previous strings no longer apply, and the fuzzy flag is added with
+   * mark_fuzzy. An existing fuzzy flag is kept, clearing it is left to a human
    * @private
-   * @param {string} sourcePath - Path to the source file
-   * @param {string} translationPath - Path to the translation file
-   * @param {Object} sourcePo - The source PO object
-   * @returns {Object} The processed translation PO object
+   * @param {Object} entry - The PO entry
    */
-  _processTranslationFile(sourcePath, translationPath, sourcePo) {
-    const translationContent = fs.readFileSync(translationPath, "utf8");
-    const translationPo = gettextParser.po.parse(translationContent);
-
-    // Initialize storage structures if not exists
-    this._ensureStorageExists(sourcePath, translationPath);
+  _updateTranslatedFlags(entry) {
+    // Entries copied from the source file share its comments object
+    const comments = { ...entry.comments };
+    delete comments.previous;
+
+    const flags = (comments.flag || "")
+      .split(",")
+      .map((flag) => flag.trim())
+      .filter(Boolean);
+    if (this.config.mark_fuzzy && !flags.includes("fuzzy")) {
+      flags.unshift("fuzzy");
+    }
 
-    // Store translation PO object
-    this.translationPos[sourcePath][translationPath] = translationPo;
+    if (flags.length > 0) {
+      comments.flag = flags.join(", ");
+    } else {
+      delete comments.flag;
+    }
+
+    if (entry.comments || Object.keys(comments).length > 0) {
+      entry.comments = comments;
+    }
+  }
+
+  /**
+   * Parse the msgid of gettext previous string comments (#| msgid "...")
+   * @private
+   * @param {string} previous - The previous string comments
+   * @returns {string|null} The previous msgid
+   */
+  _parsePreviousMsgid(previous) {
+    let msgid = null;
+    let keyword = null;
+
+    for (const line of previous.split("\n")) {
+      const match = line.trim().match(/^(?:(\w+)\s+)?("(?:[^"\\]|\\.)*")$/);
+      if (!match) continue;
+      keyword = match[1] || keyword;
+      if (keyword !== "msgid") continue;
+
+      try {
+        msgid = (match[1] ? "" : msgid || "") + JSON.parse(match[2]);
+      } catch {
+        return null;
+      }
+    }
+
+    return msgid;
+  }
+
+  /**
+   * Validate the translations of a batch against their source messages
+   * @private
+   * @param {Object<string, string|string[]|Object<string, string>>} messages - Source messages keyed by msgid
+   * @param {Object<string, string|string[]>} object - Translations keyed by msgid
+   * @param {string} locale - The target locale code
+   * @returns {Object<string, {translation: string|string[], error: string}>} The invalid translations keyed by msgid
+   */
+  _validateTranslations(messages, object, locale) {
+    const rejections = {};
+
+    for (const msgid in messages) {
+      const error =
+        validateTranslation(messages[msgid], object[msgid]) ||
+        checkGlossary(this.glossary, messages[msgid], object[msgid], locale);
+      if (error) {
+        this.log("DEBUG", `Invalid translation of "${msgid}": ${error}`);
+        rejections[msgid] = { translation: object[msgid], error };
+      }
+    }
+
+    return rejections;
+  }
+
+  /**
+   * Get the plural forms of a translation file
+   * Uses the Plural-Forms header if present and its expression can be
+   * evaluated, otherwise the default for the locale
+   * @private
+   * @param {Object} translationPo - The translation PO object
+   * @param {string} locale - The locale code
+   * @returns {{nplurals: number, plural: string}} The parsed plural forms
+   */
+  _getPluralForms(translationPo, locale) {
+    // Android, Apple and ICU based formats use CLDR plural categories
+    if (translationPo.pluralRules === "cldr") {
+      return getCldrPluralForms(this._getLanguageTag(locale));
+    }
+
+    const header = translationPo.headers?.["Plural-Forms"];
+    const pluralForms = parsePluralForms(header);
+    try {
+      if (pluralForms) {
+        getPluralExamples(pluralForms);
+        return pluralForms;
+      }
+    } catch {
+      // The expression does not compile, fall back to the default below
+    }
+
+    if (header && !this.invalidPluralForms.has(`${locale}\n${header}`)) {
+      this.invalidPluralForms.add(`${locale}\n${header}`);
+      this.log(
+        "WARN",
+        `Invalid Plural-Forms header "${header}", using the default for ${locale}`
+      );
+    }
+
+    return parsePluralForms(
+      getDefaultPluralForms(this._getLanguageTag(locale))
+    );
+  }
+
+  /**
+   * Build the translation prompt for a batch
+   * @private
+   * @param {Object} options - The prompt options
+   * @param {string} options.language - The target language name
+   * @param {string} [options.languageTag] - The BCP 47 tag of the target language
+   * @param {Object} options.schema - The Zod schema of the batch
+   * @param {Object<string, string|string[]>} options.messages - Source messages of the batch keyed by msgid
+   * @param {Object<string, Object>} [options.notes={}] - Comments and references of the messages keyed by msgid
+   * @param {Object<string, string>} [options.contexts={}] - The msgctxt of each message keyed by msgid
+   * @param {string} options.locale - The target locale code
+   * @param {{nplurals: number, plural: string}} options.pluralForms - Plural forms of the target locale
+   * @param {number[][]} [options.pluralExamples] - Example counts of each plural form, computed from pluralForms if missing
+   * @param {Object<string, {translation: string|string[], error: string}>} [options.rejections={}] - Previous translations that failed validation, keyed by msgid
+   * @returns {string} The prompt
+   */
+  _buildPrompt({
+    language,
+    languageTag,
+    schema,
+    messages,
+    notes = {},
+    contexts = {},
+    locale,
+    pluralForms,
+    pluralExamples,
+    rejections = {},
+  }) {
+    let prompt =
+      `Translate the source messages below to ${language}${
+        languageTag ? ` (${languageTag})` : ""
+      }. Respond with an object that maps each key to the translation of its message. ` +
+      `Keep the original format and only translate the text values. Do not add any formatting or explanations.\n\n` +
+      `Source messages:\n${JSON.stringify(messages, null, 2)}`;
+
+    const messageContexts = Object.keys(messages).map(
+      (msgid) => contexts[msgid] || ""
+    );
+    if (new Set(messageContexts).size === 1 && messageContexts[0]) {
+      prompt += `\n\nAll messages share the context "${messageContexts[0]}", translate them in this sense.`;
+    } else if (messageContexts.some(Boolean)) {
+      const keyedContexts = Object.fromEntries(
+        Object.keys(messages)
+          .filter((msgid) => contexts[msgid])
+          .map((msgid) => [msgid, contexts[msgid]])
+      );
+      prompt += `\n\nThese messages have a context, translate each of them in the sense of its context:\n${JSON.stringify(
+        keyedContexts,
+        null,
+        2
+      )}`;
+    }
+
+    const messageNotes = Object.fromEntries(
+      Object.keys(messages)
+        .filter((msgid) => notes[msgid])
+        .map((msgid) => [msgid, notes[msgid]])
+    );
+    if (Object.keys(messageNotes).length > 0) {
+      prompt +=
+        `\n\nUse these notes from the developers, the places the messages are used in and their earlier translations to choose the right meaning, ` +
+        `but do not translate them:\n${JSON.stringify(messageNotes, null, 2)}`;
+    }
+
+    const glossary = findGlossaryTerms(
+      this.glossary,
+      Object.values(messages),
+      locale
+    );
+    if (glossary.terms.length > 0) {
+      prompt +=
+        `\n\nAlways translate these glossary terms as given:\n` +
+        glossary.terms
+          .map(({ term, translation }) => `- "${term}": "${translation}"`)
+          .join("\n");
+    }
+    if (glossary.doNotTranslate.length > 0) {
+      prompt += `\n\nKeep these terms exactly as they are, do not translate them: ${glossary.doNotTranslate
+        .map((term) => `"${term}"`)
+        .join(", ")}`;
+    }
+
+    const rejected = Object.entries(rejections);
+    if (rejected.length > 0) {
+      prompt +=
+        `\n\nYour previous translations of these messages were rejected. Fix the listed problems ` +
+        `and keep every placeholder, tag and ICU argument of the source message unchanged:\n` +
+        rejected
+          .map(
+            ([msgid, { translation, error }]) =>
+              `- ${JSON.stringify(msgid)}: ${JSON.stringify(
+                translation
+              )} (${error})`
+          )
+          .join("\n");
+    }
+
+    const hasPlurals = Object.values(schema.shape).some(
+      (field) => field instanceof z.ZodArray
+    );
+    if (!hasPlurals) {
+      return prompt;
+    }
+
+    const examples = pluralExamples ?? getPluralExamples(pluralForms);
+    const forms = examples
+      .map((counts, index) => {
+        const category = pluralForms.categories
+          ? ` ("${pluralForms.categories[index]}")`
+          : "";
+        return `form ${index}${category} is used for n = ${counts.join(", ")}${
+          counts.length ? "..." : ""
+        }`;
+      })
+      .join("; ");
+
+    prompt += `\n\nKeys whose value is an array are plural messages: provide exactly ${pluralForms.nplurals} plural forms of the translation in order (${forms}).`;
+
+    return prompt;
+  }
+
+  /**
+   * Get the BCP 47 tag of a locale, which differs from the locale code of
+   * the file paths when locale_aliases maps it, e.g. fa to fa-IR
+   * @private
+   * @param {string} locale - The locale code
+   * @returns {string} The language tag
+   */
+  _getLanguageTag(locale) {
+    return this.config.locale_aliases?.[locale] || locale;
+  }
+
+  /**
+   * Get the name of the language of a locale for the model
+   * The English and native names come from Intl.DisplayNames, unless
+   * language_names overrides them
+   * @private
+   * @param {string} locale - The locale code
+   * @returns {string} The name, e.g. "German (Germany), Deutsch (Deutschland)"
+   */
+  _getLanguageName(locale) {
+    if (this.config.language_names?.[locale]) {
+      return this.config.language_names[locale];
+    }
+
+    const tag = this._getLanguageTag(locale);
+    const getName = (displayLocale) => {
+      try {
+        return new Intl.DisplayNames([displayLocale], {
+          type: "language",
+          fallback: "none",
+        }).of(tag);
+      } catch {
+        return undefined;
+      }
+    };
+    const names = [...new Set([getName("en"), getName(tag)].filter(Boolean))];
+    return names.length > 0 ? names.join(", ") : tag;
+  }
+
+  /**
+   * Validate the locales of the config, their aliases and name overrides
+   * Any well-formed BCP 47 tag is accepted, a locale without a known name
+   * only gets a warning
+   * @private
+   * @param {Object} config - The config
+   * @throws {Error} If a locale is not a language tag, or an alias or name is invalid
+   */
+  _validateLocaleNames(config) {
+    for (const key of ["locale_aliases", "language_names"]) {
+      const value = config[key];
+      if (value === undefined) continue;
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new Error(`Config '${key}' must be an object keyed by locale`);
+      }
+      for (const locale in value) {
+        if (typeof value[locale] !== "string" || !value[locale].trim()) {
+          throw new Error(`Config '${key}.${locale}' must be a string`);
+        }
+      }
+    }
+
+    const invalidLocales = [
+      ...new Set([...config.locales, config.source_locale].filter(Boolean)),
+    ].filter((locale) => {
+      try {
+        Intl.getCanonicalLocales(this._getLanguageTag(locale));
+        return false;
+      } catch {
+        return true;
+      }
+    });
+    if (invalidLocales.length > 0) {
+      throw new Error(
+        `Invalid locale codes: ${invalidLocales
+          .map((locale) =>
+            config.locale_aliases?.[locale]
+              ? `${locale} (${config.locale_aliases[locale]})`
+              : locale
+          )
+          .join(
+            ", "
+          )}. Use BCP 47 language tags like fr-FR or sr-Latn-RS, or map the codes to one with locale_aliases`
+      );
+    }
+
+    for (const locale of config.locales) {
+      if (this._getLanguageName(locale) === this._getLanguageTag(locale)) {
+        this.log(
+          "WARN",
+          `No language name is known for ${locale}, set one in language_names`
+        );
+      }
+    }
+  }
+
+  /**
+   * Validate the llm section of the config
+   * @private
+   * @param {Object} llm - The llm section of the config
+   * @throws {Error} If the provider, model, API key or a setting is missing or invalid
+   */
+  _validateLlmConfig(llm) {
+    if (!llm || typeof llm !== "object") {
+      throw new Error("Config must include an 'llm' section");
+    }
+    if (!llm.provider) {
+      throw new Error(
+        `Config 'llm.provider' is required, supported providers: ${Object.keys(
+          this.PROVIDERS
+        ).join(", ")}`
+      );
+    }
+    if (!llm.model) {
+      throw new Error("Config 'llm.model' is required");
+    }
+
+    // Throws if the provider is not supported
+    this.getModel(llm);
+
+    const providerConfig = this.PROVIDERS[llm.provider];
+    if (providerConfig.baseUrlRequired && !llm.base_url) {
+      throw new Error(
+        `Config 'llm.base_url' is required for the ${llm.provider} provider, e.g. http://localhost:11434/v1 for Ollama`
+      );
+    }
+    if (
+      !providerConfig.apiKeyOptional &&
+      !process.env[providerConfig.apiKeyEnv]
+    ) {
+      throw new Error(
+        `Missing API key for the ${llm.provider} provider: set the ${providerConfig.apiKeyEnv} environment variable`
+      );
+    }
+
+    for (const key of Object.keys(this.LLM_SETTINGS)) {
+      if (llm[key] !== undefined && typeof llm[key] !== "number") {
+        throw new Error(`Config 'llm.${key}' must be a number`);
+      }
+    }
+
+    for (const key of ["requests_per_minute", "tokens_per_minute"]) {
+      if (
+        llm[key] !== undefined &&
+        !(Number.isInteger(llm[key]) && llm[key] > 0)
+      ) {
+        throw new Error(`Config 'llm.${key}' must be a positive integer`);
+      }
+    }
+
+    if (llm.mock !== undefined) {
+      if (llm.provider !== "mock") {
+        throw new Error("Config 'llm.mock' is only used by the mock provider");
+      }
+      if (!llm.mock || typeof llm.mock !== "object") {
+        throw new Error("Config 'llm.mock' must be an object of mock options");
+      }
+      for (const key of ["delay", "fail_every", "malformed_every"]) {
+        const value = llm.mock[key];
+        if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+          throw new Error(
+            `Config 'llm.mock.${key}' must be a non-negative integer`
+          );
+        }
+      }
+      const failLocales = llm.mock.fail_locales;
+      if (failLocales !== undefined && !Array.isArray(failLocales)) {
+        throw new Error(
+          "Config 'llm.mock.fail_locales' must be a list of locales"
+        );
+      }
+      const failMessages = llm.mock.fail_messages;
+      if (failMessages !== undefined && !Array.isArray(failMessages)) {
+        throw new Error(
+          "Config 'llm.mock.fail_messages' must be a list of source messages"
+        );
+      }
+    }
+  }
+
+  /**
+   * Load the glossary from the config and its optional CSV or TBX file
+   * @private
+   * @param {Object} glossaryConfig - The glossary section of the config
+   * @param {string} [glossaryConfig.file] - Path of a CSV or TBX glossary file
+   * @param {Object<string, Object<string, string>>} [glossaryConfig.terms] - Translations of each term keyed by locale
+   * @param {string[]} [glossaryConfig.do_not_translate] - Terms to keep as they are
+   * @returns {Object} The glossary
+   * @throws {Error} If the glossary is invalid or has translations for locales that are not configured
+   */
+  _loadGlossary(glossaryConfig) {
+    const { file, terms = {}, do_not_translate = [] } = glossaryConfig;
+    // Terms of locales left out by selectLocales are valid, just unused
+    const locales = this.configuredLocales ?? this.config.locales;
+    let glossary = createGlossary();
+
+    if (file) {
+      const filePath = path.join(this.config.base_path, file);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`Glossary file does not exist: ${file}`);
+      }
+
+      const extension = path.extname(file).toLowerCase();
+      if (extension === ".csv") {
+        glossary = parseGlossaryCsv(this._readFile(filePath));
+      } else if (extension === ".tbx") {
+        glossary = parseGlossaryTbx(this._readFile(filePath), locales);
+      } else {
+        throw new Error(
+          `Unsupported glossary file: ${file}, use a .csv or .tbx file`
+        );
+      }
+    }
+
+    if (!Array.isArray(do_not_translate)) {
+      throw new Error("Glossary 'do_not_translate' must be a list of terms");
+    }
+    glossary.doNotTranslate.push(...do_not_translate.map(String));
+
+    for (const term in terms) {
+      if (!terms[term] || typeof terms[term] !== "object") {
+        throw new Error(
+          `Glossary term "${term}" must map locale codes to translations`
+        );
+      }
+      glossary.terms.push({ term, translations: { ...terms[term] } });
+    }
+
+    for (const { term, translations } of glossary.terms) {
+      const unknownLocales = Object.keys(translations).filter(
+        (locale) => !locales.includes(locale)
+      );
+      if (unknownLocales.length > 0) {
+        throw new Error(
+          `Glossary term "${term}" has translations for locales that are not configured: ${unknownLocales.join(
+            ", "
+          )}`
+        );
+      }
+    }
+
+    this.log(
+      "DEBUG",
+      `Loaded glossary with ${glossary.terms.length} terms and ${glossary.doNotTranslate.length} do-not-translate terms`
+    );
+
+    return glossary;
+  }
+
+  /**
+   * Replace the placeholders of the translation path template of a files[] entry
+   * Every occurrence is replaced in a single pass, so placeholders in the
+   * replaced values are kept as they are, and unknown ones are left alone
+   * @private
+   * @param {Object} file - The files[] entry from the config
+   * @param {string} [locale] - The locale code
+   * @returns {string} The translation path relative to the base path
+   */
+  _fillPathTemplate(file, locale) {
+    return file.translation.replace(/%\w+%/g, (placeholder) => {
+      if (this.filePlaceholders[placeholder]) {
+        return this.filePlaceholders[placeholder](file.source);
+      }
+      if (this.localePlaceholders[placeholder] && locale) {
+        return this.localePlaceholders[placeholder](locale);
+      }
+      return placeholder;
+    });
+  }
+
+  /**
+   * Get the full translation path of a files[] entry for a locale
+   * @private
+   * @param {Object} file - The files[] entry from the config
+   * @param {string} [locale] - The locale code
+   * @returns {string} The full translation path
+   */
+  _getTranslationPath(file, locale) {
+    return path.join(
+      this.config.base_path,
+      this._fillPathTemplate(file, locale)
+    );
+  }
+
+  /**
+   * Check whether a translation path template contains a locale placeholder
+   * @private
+   * @param {string} translationPathTemplate - The translation path template
+   * @returns {boolean} True if the path differs per locale
+   */
+  _hasLocalePlaceholder(translationPathTemplate) {
+    return Object.keys(this.localePlaceholders).some((placeholder) =>
+      translationPathTemplate.includes(placeholder)
+    );
+  }
+
+  /**
+   * Get the options of the format adapter of a files[] entry
+   * Plural categories are looked up with the language tag of the locale,
+   * while the locale code is kept for what must match the file paths
+   * @private
+   * @param {Object} file - The files[] entry from the config
+   * @param {string} [locale] - The locale code of the file
+   * @returns {{targetState: string|undefined, locale: string|undefined, localeCode: string|undefined}} The format options
+   */
+  _getFormatOptions(file, locale) {
+    return {
+      targetState: file.target_state,
+      locale: locale && this._getLanguageTag(locale),
+      localeCode: locale,
+    };
+  }
+
+  /**
+   * Process a source file and return its PO object
+   * @private
+   * @param {string} sourcePath - Path to the source file
+   * @param {Object} format - The format adapter of the file
+   * @param {Object} [formatOptions={}] - Options passed to the format adapter
+   * @returns {Object} The parsed PO object
+   */
+  _processSourceFile(sourcePath, format, formatOptions = {}) {
+    const sourceContent = this._readFile(sourcePath);
+    try {
+      return format.parse(sourceContent, formatOptions);
+    } catch (error) {
+      throw new Error(
+        `Failed to parse ${format.name} file ${sourcePath}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Read a text file, honoring a UTF-16 byte order mark
+   * Apple .strings files are often saved as UTF-16
+   * @private
+   * @param {string} filePath - Path to the file
+   * @returns {string} The file contents without byte order mark
+   */
+  _readFile(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+      return buffer.toString("utf16le", 2);
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+      return Buffer.from(buffer.subarray(2)).swap16().toString("utf16le");
+    }
+    return buffer.toString("utf8").replace(/^\uFEFF/, "");
+  }
+
+  /**
+   * Write a text file in the encoding of the file it replaces
+   * UTF-16 files and UTF-8 files with a byte order mark keep them, new files
+   * are written as UTF-8
+   * @private
+   * @param {string} filePath - Path to the file
+   * @param {string|Buffer} content - The file contents without byte order mark
+   */
+  _writeFile(filePath, content) {
+    const head = fs.existsSync(filePath)
+      ? fs.readFileSync(filePath).subarray(0, 3)
+      : Buffer.alloc(0);
+    const text = String(content);
+
+    let buffer;
+    if (head[0] === 0xff && head[1] === 0xfe) {
+      buffer = Buffer.concat([
+        head.subarray(0, 2),
+        Buffer.from(text, "utf16le"),
+      ]);
+    } else if (head[0] === 0xfe && head[1] === 0xff) {
+      buffer = Buffer.concat([
+        head.subarray(0, 2),
+        Buffer.from(text, "utf16le").swap16(),
+      ]);
+    } else if (head[0] === 0xef && head[1] === 0xbb && head[2] === 0xbf) {
+      buffer = Buffer.from(`\uFEFF${text}`);
+    } else {
+      buffer = Buffer.from(text);
+    }
+    fs.writeFileSync(filePath, buffer);
+  }
+
+  /**
+   * Process a translation file, ensure all source entries exist in it
+   * @private
+   * @param {string} sourcePath - Path to the source file
+   * @param {string} translationPath - Path to the translation file
+   * @param {Object} sourcePo - The source PO object
+   * @param {string} locale - The locale code of the translation file
+   * @param {Object} format - The format adapter of the file
+   * @param {Object} [formatOptions={}] - Options passed to the format adapter, see _getFormatOptions
+   * @param {string} [obsoletePolicy="keep"] - What to do with entries removed from the source: keep, mark or delete
+   * @returns {Object} The processed translation PO object
+   */
+  _processTranslationFile(
+    sourcePath,
+    translationPath,
+    sourcePo,
+    locale,
+    format,
+    formatOptions = {},
+    obsoletePolicy = "keep"
+  ) {
+    const translationPo = this._processSourceFile(
+      translationPath,
+      format,
+      formatOptions
+    );
+
+    // Initialize storage structures if not exists
+    this._ensureStorageExists(sourcePath, translationPath);
+
+    // Store translation PO object and the format to write it back with
+    this.translationPos[sourcePath][translationPath] = translationPo;
+    this.translationFormats[translationPath] = format;
+
+    // Plural entries need a Plural-Forms header to be read back correctly
+    const pluralForms = this._getPluralForms(translationPo, locale);
+    if (
+      !translationPo.pluralRules &&
+      !parsePluralForms(translationPo.headers?.["Plural-Forms"]) &&
+      this._hasPluralEntries(sourcePo)
+    ) {
+      translationPo.headers = translationPo.headers || {};
+      translationPo.headers[
+        "Plural-Forms"
+      ] = `nplurals=${pluralForms.nplurals}; plural=${pluralForms.plural};`;
+    }
 
     // Ensure all entries from source exist in translation
-    this._syncEntriesFromSource(sourcePo, translationPo);
+    const added = this._syncEntriesFromSource(
+      sourcePo,
+      translationPo,
+      pluralForms
+    );
+
+    const obsoleted = this._handleObsoleteEntries(
+      sourcePo,
+      translationPo,
+      obsoletePolicy
+    );
+    this.translationStats[translationPath] = {
+      locale,
+      added,
+      translated: 0,
+      failed: 0,
+      flagged: 0,
+      obsolete: obsoleted,
+    };
+    if (obsoleted > 0) {
+      this.obsoleteEntries[locale] =
+        (this.obsoleteEntries[locale] || 0) + obsoleted;
+      this.log(
+        "INFO",
+        `${
+          obsoletePolicy === "mark" ? "Marked" : "Deleted"
+        } ${obsoleted} obsolete entries in ${translationPath}`
+      );
+    }
 
     return translationPo;
   }
@@ -1016,7 +3042,7 @@ class Linguci {
       this.translationBatches[sourcePath] = {};
     }
     if (!this.translationBatches[sourcePath][translationPath]) {
-      this.translationBatches[sourcePath][translationPath] = {};
+      this.translationBatches[sourcePath][translationPath] = [];
     }
   }
 
@@ -1025,8 +3051,12 @@ class Linguci {
    * @private
    * @param {Object} sourcePo - The source PO object
    * @param {Object} translationPo - The translation PO object
+   * @param {{nplurals: number, plural: string}} pluralForms - Plural forms of the translation locale
+   * @returns {number} The number of entries added to the translation
    */
-  _syncEntriesFromSource(sourcePo, translationPo) {
+  _syncEntriesFromSource(sourcePo, translationPo, pluralForms) {
+    let added = 0;
+
     for (const contextKey in sourcePo.translations) {
       const sourceContext = sourcePo.translations[contextKey];
 
@@ -1039,32 +3069,178 @@ class Linguci {
 
       // Check each message in this context
       for (const msgid in sourceContext) {
+        // Bring back entries that were marked obsolete with their translation
+        const obsoleteEntry = translationPo.obsolete?.[contextKey]?.[msgid];
+        if (!translationContext[msgid] && obsoleteEntry) {
+          translationContext[msgid] = obsoleteEntry;
+          delete translationPo.obsolete[contextKey][msgid];
+        }
+
+        if (translationContext[msgid] && msgid !== "") {
+          this._syncSourceComments(
+            sourceContext[msgid],
+            translationContext[msgid]
+          );
+        }
+
         if (!translationContext[msgid]) {
           // Copy the missing entry to translation
           translationContext[msgid] = { ...sourceContext[msgid] };
 
           // Clear the translation if it's not the empty msgid
           if (msgid !== "") {
-            translationContext[msgid].msgstr = [""];
+            translationContext[msgid].msgstr = this._emptyMsgstr(
+              sourceContext[msgid],
+              pluralForms
+            );
+            added++;
           }
         } else if (
           msgid !== "" &&
           translationContext[msgid].msgstr.length === 0
         ) {
           // Fix any entries that have an empty array instead of an array with empty string
-          translationContext[msgid].msgstr = [""];
+          translationContext[msgid].msgstr = this._emptyMsgstr(
+            translationContext[msgid],
+            pluralForms
+          );
+        }
+      }
+    }
+
+    return added;
+  }
+
+  /**
+   * Copy the source references and extracted comments of an entry to its translation
+   * Translator comments and flags belong to the translation and are kept
+   * @private
+   * @param {Object} sourceEntry - The entry from the source PO object
+   * @param {Object} translationEntry - The entry from the translation PO object
+   */
+  _syncSourceComments(sourceEntry, translationEntry) {
+    const comments = { ...translationEntry.comments };
+    let changed = false;
+
+    for (const key of ["reference", "extracted"]) {
+      const value = sourceEntry.comments?.[key];
+      if (value === comments[key]) continue;
+
+      if (value) {
+        comments[key] = value;
+      } else {
+        delete comments[key];
+      }
+      changed = true;
+    }
+
+    if (changed) {
+      translationEntry.comments = comments;
+    }
+  }
+
+  /**
+   * Mark or delete translation entries that no longer exist in the source
+   * Marked entries move to the obsolete section of the PO object (#~)
+   * @private
+   * @param {Object} sourcePo - The source PO object
+   * @param {Object} translationPo - The translation PO object
+   * @param {string} policy - keep, mark or delete
+   * @returns {number} The number of marked or deleted entries
+   */
+  _handleObsoleteEntries(sourcePo, translationPo, policy) {
+    if (policy === "keep") {
+      return 0;
+    }
+
+    let count = 0;
+    for (const contextKey in translationPo.translations) {
+      const translationContext = translationPo.translations[contextKey];
+
+      for (const msgid in translationContext) {
+        const entry = translationContext[msgid];
+        if (
+          msgid === "" ||
+          entry.translatable === false ||
+          sourcePo.translations[contextKey]?.[msgid]
+        ) {
+          continue;
+        }
+
+        if (policy === "mark") {
+          translationPo.obsolete = translationPo.obsolete || {};
+          translationPo.obsolete[contextKey] =
+            translationPo.obsolete[contextKey] || {};
+          translationPo.obsolete[contextKey][msgid] = entry;
         }
+        delete translationContext[msgid];
+        count++;
       }
+
+      if (contextKey !== "" && Object.keys(translationContext).length === 0) {
+        delete translationPo.translations[contextKey];
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Create an untranslated msgstr array for an entry
+   * @private
+   * @param {Object} entry - The PO entry
+   * @param {{nplurals: number, plural: string}} pluralForms - Plural forms of the translation locale
+   * @returns {string[]} One empty string per plural form, or a single empty string
+   */
+  _emptyMsgstr(entry, pluralForms) {
+    return entry.msgid_plural ? Array(pluralForms.nplurals).fill("") : [""];
+  }
+
+  /**
+   * Get the source language text of a source entry
+   * Bilingual formats like XLIFF set sourceText, key-based formats keep the
+   * text in msgstr, and gettext uses the msgid itself
+   * @private
+   * @param {Object} sourceEntry - The entry from the source PO object
+   * @returns {string|string[]} The source text, or its singular and plural forms
+   */
+  _getSourceText(sourceEntry) {
+    if (sourceEntry.sourceText !== undefined) {
+      return sourceEntry.sourceText;
+    }
+
+    const msgstr = sourceEntry.msgstr || [];
+
+    if (sourceEntry.msgid_plural) {
+      return msgstr.length > 1 && msgstr.every((form) => form)
+        ? msgstr
+        : [sourceEntry.msgid, sourceEntry.msgid_plural];
     }
+
+    return msgstr[0] || sourceEntry.msgid;
+  }
+
+  /**
+   * Check whether a PO object contains plural entries
+   * @private
+   * @param {Object} po - The PO object
+   * @returns {boolean} True if any entry has a msgid_plural
+   */
+  _hasPluralEntries(po) {
+    return Object.values(po.translations).some((context) =>
+      Object.values(context).some((entry) => entry.msgid_plural)
+    );
   }
 
   /**
-   * Find entries that need translation (empty msgstr)
+   * Find entries that need translation (empty msgstr, missing plural forms,
+   * or fuzzy entries with translate_fuzzy)
    * @private
    * @param {Object} translationPo - The translation PO object
+   * @param {{nplurals: number, plural: string}} pluralForms - Plural forms of the translation locale
    * @returns {Object} Object with entries needing translation, grouped by context
    */
-  _findEntriesNeedingTranslation(translationPo) {
+  _findEntriesNeedingTranslation(translationPo, pluralForms) {
     const emptyMsgStrs = {};
 
     for (const contextKey in translationPo.translations) {
@@ -1074,9 +3250,14 @@ class Linguci {
         // Skip the header
         if (msgid === "") continue;
 
-        // Check if translation is missing or empty
-        const msgstr = translationContext[msgid].msgstr;
-        if (msgstr.length === 0 || (msgstr.length === 1 && msgstr[0] === "")) {
+        // Skip entries the format marks as not translatable
+        const entry = translationContext[msgid];
+        if (entry.translatable === false) continue;
+
+        if (
+          this._isUntranslated(entry, pluralForms) ||
+          this._needsFuzzyRetranslation(entry)
+        ) {
           emptyMsgStrs[contextKey] = emptyMsgStrs[contextKey] || {};
           emptyMsgStrs[contextKey][msgid] = translationContext[msgid];
         }
@@ -1086,38 +3267,393 @@ class Linguci {
     return emptyMsgStrs;
   }
 
+  /**
+   * Check whether the translation of an entry is missing or empty
+   * @private
+   * @param {Object} entry - The translation entry
+   * @param {{nplurals: number, plural: string}} pluralForms - Plural forms of the translation locale
+   * @returns {boolean} True if a translation or plural form is missing
+   */
+  _isUntranslated(entry, pluralForms) {
+    const msgstr = entry.msgstr;
+    return entry.msgid_plural
+      ? msgstr.length < pluralForms.nplurals ||
+          msgstr.slice(0, pluralForms.nplurals).some((form) => !form)
+      : msgstr.length === 0 || (msgstr.length === 1 && msgstr[0] === "");
+  }
+
+  /**
+   * Read the source and translation files of the config without changing them
+   * @private
+   * @returns {Array<{translationPath: string, locale: string, sourcePo: Object, translationPo: Object|null}>} Every translation file, with a null catalog if it does not exist
+   */
+  _readTranslationFiles() {
+    const translationFiles = [];
+
+    for (const file of this.config.files) {
+      const format = getFormat(file);
+      const sourceLocale = this._getSourceLocale(file);
+      const sourcePo = this._processSourceFile(
+        path.join(this.config.base_path, file.source),
+        format,
+        this._getFormatOptions(file, sourceLocale)
+      );
+
+      for (const { locale, translationPath } of this._getTranslationTargets(
+        file
+      )) {
+        const translationPo = fs.existsSync(translationPath)
+          ? this._processSourceFile(
+              translationPath,
+              format,
+              this._getFormatOptions(file, locale)
+            )
+          : null;
+        translationFiles.push({
+          translationPath,
+          locale,
+          sourcePo,
+          translationPo,
+        });
+      }
+    }
+
+    return translationFiles;
+  }
+
+  /**
+   * Get the translatable entries of a source catalog
+   * @private
+   * @param {Object} sourcePo - The source PO object
+   * @returns {Array<[string, string, Object]>} The context key, msgid and entry of each translatable entry
+   */
+  _getTranslatableEntries(sourcePo) {
+    const entries = [];
+    for (const contextKey in sourcePo.translations) {
+      for (const msgid in sourcePo.translations[contextKey]) {
+        const entry = sourcePo.translations[contextKey][msgid];
+        if (msgid !== "" && entry.translatable !== false) {
+          entries.push([contextKey, msgid, entry]);
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Load the translation memory file, which may not exist yet
+   * @private
+   * @param {Object} memoryConfig - The translation_memory section of the config
+   * @param {string} memoryConfig.path - Path of the translation memory file
+   * @param {number} [memoryConfig.near_matches=0] - Number of near matches offered to the model
+   * @param {number} [memoryConfig.min_similarity=0.75] - Minimum similarity of near matches between 0 and 1
+   * @returns {TranslationMemory} The translation memory
+   * @throws {Error} If the config or the file is invalid
+   */
+  _loadTranslationMemory(memoryConfig) {
+    const {
+      path: memoryPath,
+      near_matches = 0,
+      min_similarity = 0.75,
+    } = memoryConfig;
+
+    if (!memoryPath || typeof memoryPath !== "string") {
+      throw new Error("Config 'translation_memory.path' must be a file path");
+    }
+    if (!Number.isInteger(near_matches) || near_matches < 0) {
+      throw new Error(
+        "Config 'translation_memory.near_matches' must be a non-negative integer"
+      );
+    }
+    if (
+      typeof min_similarity !== "number" ||
+      min_similarity <= 0 ||
+      min_similarity > 1
+    ) {
+      throw new Error(
+        "Config 'translation_memory.min_similarity' must be a number between 0 and 1"
+      );
+    }
+
+    const filePath = path.join(this.config.base_path, memoryPath);
+    const content = fs.existsSync(filePath) ? this._readFile(filePath) : "";
+
+    try {
+      return new TranslationMemory(content);
+    } catch (error) {
+      throw new Error(
+        `Failed to parse translation memory ${memoryPath}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Add the translated entries of a translation file to the translation memory
+   * @private
+   * @param {Object} sourcePo - The source PO object
+   * @param {Object} translationPo - The translation PO object
+   * @param {string} locale - The locale code
+   */
+  _addToTranslationMemory(sourcePo, translationPo, locale) {
+    const pluralForms = this._getPluralForms(translationPo, locale);
+    const emptyMsgStrs = this._findEntriesNeedingTranslation(
+      translationPo,
+      pluralForms
+    );
+
+    for (const contextKey in translationPo.translations) {
+      for (const msgid in translationPo.translations[contextKey]) {
+        const entry = translationPo.translations[contextKey][msgid];
+        if (
+          msgid === "" ||
+          entry.translatable === false ||
+          emptyMsgStrs[contextKey]?.[msgid] ||
+          this._isFuzzy(entry)
+        ) {
+          continue;
+        }
+
+        const sourceEntry = sourcePo.translations[contextKey]?.[msgid];
+        this.translationMemory.set(
+          locale,
+          contextKey,
+          this._getSourceText(sourceEntry || entry),
+          entry.msgid_plural
+            ? entry.msgstr.slice(0, pluralForms.nplurals)
+            : entry.msgstr[0]
+        );
+      }
+    }
+  }
+
+  /**
+   * Fill entries with exact matches from the translation memory
+   * Filled entries are removed from the entries needing translation
+   * @private
+   * @param {Object} emptyMsgStrs - Object with entries needing translation
+   * @param {Object} sourcePo - The source PO object
+   * @param {string} locale - The locale code
+   * @param {{nplurals: number, plural: string}} pluralForms - Plural forms of the translation locale
+   * @returns {number} The number of filled entries
+   */
+  _fillFromTranslationMemory(emptyMsgStrs, sourcePo, locale, pluralForms) {
+    let filled = 0;
+
+    for (const contextKey in emptyMsgStrs) {
+      for (const msgid in emptyMsgStrs[contextKey]) {
+        const entry = emptyMsgStrs[contextKey][msgid];
+        const sourceEntry = sourcePo.translations[contextKey]?.[msgid];
+        const source = this._getSourceText(sourceEntry || entry);
+        const translation = this.translationMemory.get(
+          locale,
+          contextKey,
+          source
+        );
+
+        const fits = entry.msgid_plural
+          ? Array.isArray(translation) &&
+            translation.length === pluralForms.nplurals
+          : typeof translation === "string";
+        if (
+          !fits ||
+          this._validateTranslations(
+            { [msgid]: source },
+            { [msgid]: translation },
+            locale
+          )[msgid]
+        ) {
+          continue;
+        }
+
+        entry.msgstr = entry.msgid_plural ? [...translation] : [translation];
+        this._updateTranslatedFlags(entry);
+        delete emptyMsgStrs[contextKey][msgid];
+        filled++;
+      }
+
+      if (Object.keys(emptyMsgStrs[contextKey]).length === 0) {
+        delete emptyMsgStrs[contextKey];
+      }
+    }
+
+    return filled;
+  }
+
+  /**
+   * Find translations of similar messages to offer to the model as references
+   * @private
+   * @param {string} locale - The locale code
+   * @param {string} contextKey - The context key of the message
+   * @param {string|string[]|Object<string, string>} source - The source text
+   * @returns {Array<{source: string, translation: string}>} The near matches
+   */
+  _findNearMatches(locale, contextKey, source) {
+    const { near_matches = 0, min_similarity = 0.75 } =
+      this.config.translation_memory || {};
+    if (
+      !this.translationMemory ||
+      !near_matches ||
+      typeof source !== "string"
+    ) {
+      return [];
+    }
+
+    return this.translationMemory
+      .findSimilar(locale, contextKey, source, {
+        minSimilarity: min_similarity,
+        limit: near_matches,
+      })
+      .map(({ source, translation }) => ({ source, translation }));
+  }
+
+  /**
+   * Collect the context of an entry that helps the model pick the right sense
+   * Developer comments and references come from the source file, translator
+   * comments from the translation file if it has its own
+   * @private
+   * @param {Object} entry - The entry from the translation PO object
+   * @param {Object} [sourceEntry] - The entry from the source PO object
+   * @returns {{description?: string, translatorComment?: string, usedIn?: string[]}|null} The note, or null if the entry has no context
+   */
+  _getEntryNote(entry, sourceEntry) {
+    const sourceComments = (sourceEntry || entry).comments || {};
+    const translator = entry.comments?.translator || sourceComments.translator;
+    const note = {};
+
+    if (sourceComments.extracted) {
+      note.description = sourceComments.extracted;
+    }
+    if (translator) {
+      note.translatorComment = translator;
+    }
+    if (sourceComments.reference) {
+      note.usedIn = sourceComments.reference.split(/\s+/).filter(Boolean);
+    }
+
+    // Fuzzy entries are translated again, their outdated translation is a hint
+    if (this._needsFuzzyRetranslation(entry)) {
+      const previousMsgid =
+        entry.comments.previous &&
+        this._parsePreviousMsgid(entry.comments.previous);
+      if (previousMsgid) {
+        note.previousSource = previousMsgid;
+      }
+      note.previousTranslation = entry.msgid_plural
+        ? entry.msgstr
+        : entry.msgstr[0];
+    }
+
+    return Object.keys(note).length > 0 ? note : null;
+  }
+
+  /**
+   * Estimate the number of tokens of a text or value, at 4 characters per token
+   * @private
+   * @param {*} value - A string, or a value that is measured as JSON
+   * @returns {number} The estimated tokens
+   */
+  _estimateTokens(value) {
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return Math.ceil(text.length / 4);
+  }
+
   /**
    * Create Zod schema batches for entries that need translation
+   * A batch ends when it reaches the entry limit or the token budget, and a
+   * message over the budget is sent alone. The same msgid of two contexts
+   * never shares a batch, since translations are keyed by msgid
    * @private
    * @param {Object} emptyMsgStrs - Object with entries needing translation
-   * @param {number} batchSize - Number of entries per batch
-   * @returns {Object} Object with schema batches grouped by context
+   * @param {Object} options - Batch options
+   * @param {number} options.batchSize - Maximum number of entries per batch
+   * @param {number} options.batchTokens - Estimated tokens of the messages and notes per batch, 0 for no limit
+   * @param {boolean} options.mixContexts - Whether entries of different contexts can share a batch
+   * @param {{nplurals: number, plural: string}} pluralForms - Plural forms of the translation locale
+   * @param {Object} sourcePo - The source PO object
+   * @param {string} locale - The target locale code
+   * @returns {Array<{schema: Object, messages: Object, notes: Object, contexts: Object<string, string>}>} The batches
    */
-  _createSchemaBatches(emptyMsgStrs, batchSize) {
-    const schemaBatches = {};
+  _createSchemaBatches(
+    emptyMsgStrs,
+    { batchSize, batchTokens, mixContexts },
+    pluralForms,
+    sourcePo,
+    locale
+  ) {
+    const tokenBudget = batchTokens > 0 ? batchTokens : Infinity;
+    const schemaBatches = [];
+    let batch = null;
+
+    // Store the Zod schema object with the source messages it translates
+    const closeBatch = () => {
+      if (batch) {
+        schemaBatches.push({
+          schema: z.object(batch.shape),
+          messages: batch.messages,
+          notes: batch.notes,
+          contexts: batch.contexts,
+        });
+        batch = null;
+      }
+    };
 
     for (const contextKey in emptyMsgStrs) {
-      const msgids = Object.keys(emptyMsgStrs[contextKey]);
-      schemaBatches[contextKey] = {};
-
-      // Create batches for this context
-      for (
-        let i = 0, batchNumber = 0;
-        i < msgids.length;
-        i += batchSize, batchNumber++
-      ) {
-        const batchMsgids = msgids.slice(i, i + batchSize);
-        const batchSchemaObj = {};
+      if (!mixContexts) {
+        closeBatch();
+      }
 
-        // Add schemas for each msgid in this batch
-        for (const msgid of batchMsgids) {
-          batchSchemaObj[msgid] = z.string();
+      for (const msgid in emptyMsgStrs[contextKey]) {
+        const entry = emptyMsgStrs[contextKey][msgid];
+        const sourceEntry = sourcePo.translations[contextKey]?.[msgid];
+        const message = this._getSourceText(sourceEntry || entry);
+
+        const note = this._getEntryNote(entry, sourceEntry) || {};
+        const similar = this._findNearMatches(locale, contextKey, message);
+        if (similar.length > 0) {
+          note.similarTranslations = similar;
+        }
+        const hasNote = Object.keys(note).length > 0;
+        const tokens =
+          this._estimateTokens(message) +
+          (hasNote ? this._estimateTokens(note) : 0);
+
+        if (
+          batch &&
+          (batch.size >= batchSize ||
+            batch.tokens + tokens > tokenBudget ||
+            msgid in batch.messages)
+        ) {
+          closeBatch();
+        }
+        if (!batch) {
+          batch = {
+            shape: {},
+            messages: {},
+            notes: {},
+            contexts: {},
+            size: 0,
+            tokens: 0,
+          };
         }
 
-        // Store the Zod schema object
-        schemaBatches[contextKey][batchNumber] = z.object(batchSchemaObj);
+        batch.messages[msgid] = message;
+        batch.contexts[msgid] = contextKey;
+        batch.shape[msgid] = entry.msgid_plural
+          ? z.array(z.string()).length(pluralForms.nplurals)
+          : z.string();
+        if (hasNote) {
+          batch.notes[msgid] = note;
+        }
+        batch.size++;
+        batch.tokens += tokens;
+
+        // A message over the budget is sent alone
+        if (tokens >= tokenBudget) {
+          closeBatch();
+        }
       }
     }
+    closeBatch();
 
     return schemaBatches;
   }
@@ -1,50 +1,221 @@
+import os from "os";
+import path from "path";
 import core from "@actions/core";
 import github from "@actions/github";
 import Linguci from "./linguci.js";
 
 import { zodToJsonSchema } from "zod-to-json-schema";
 
+/**
+ * Read a list input separated by commas or line breaks
+ * Values can contain spaces, like a "good first issue" label
+ * @param {string} name - The input name
+ * @returns {string[]} The values
+ */
+function getListInput(name) {
+  return core
+    .getInput(name)
+    .split(/[,\n]/)
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Format a coverage ratio as a percentage
+ * @param {number} ratio - The coverage between 0 and 1
+ * @returns {string} The percentage
+ */
+function formatCoverage(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+/**
+ * Check the translation coverage without translating anything, and report it
+ * in the job summary and the coverage output
+ * @param {Linguci} linguci - The instance with a validated config
+ * @returns {Promise<boolean>} Whether the check passed
+ */
+async function checkCoverage(linguci) {
+  const minCoverage = parseFloat(core.getInput("min_coverage") || "0");
+  if (!(minCoverage >= 0 && minCoverage <= 100)) {
+    throw new Error("min_coverage must be a percentage between 0 and 100");
+  }
+  const requiredLocales = getListInput("required_locales");
+
+  const { passed, failures, locales, files } = linguci.checkCoverage({
+    minCoverage: minCoverage / 100,
+    requiredLocales,
+  });
+
+  const header = ["Translated", "Fuzzy", "Missing", "Coverage"].map((data) => ({
+    data,
+    header: true,
+  }));
+  const counts = ({ total, translated, fuzzy, untranslated, coverage }) => [
+    `${translated}/${total}`,
+    String(fuzzy),
+    String(untranslated),
+    formatCoverage(coverage),
+  ];
+
+  core.summary
+    .addHeading("Translation coverage")
+    .addTable([
+      [{ data: "Locale", header: true }, ...header],
+      ...locales.map((locale) => [locale.locale, ...counts(locale)]),
+    ])
+    .addHeading("Files", 3)
+    .addTable([
+      [{ data: "File", header: true }, ...header],
+      ...files.map((file) => [
+        path.relative(linguci.workspace, file.file),
+        ...counts(file),
+      ]),
+    ]);
+  if (failures.length > 0) {
+    core.summary.addHeading("Failures", 3).addList(failures);
+  }
+  await core.summary.write();
+
+  core.setOutput(
+    "coverage",
+    JSON.stringify({
+      passed,
+      locales,
+      files: files.map(({ missing, ...file }) => file),
+    })
+  );
+
+  return passed;
+}
+
 async function run() {
   try {
     // Read inputs from GitHub Actions
     const batchSize = parseInt(core.getInput("batch_size"), 10);
-    const languageConcurrency = parseInt(
-      core.getInput("language_concurrency"),
+    const batchTokens = parseInt(core.getInput("batch_tokens") || "2000", 10);
+    const mixContexts = core.getInput("mix_contexts") === "true";
+    const concurrency = parseInt(
+      core.getInput("concurrency") ||
+        core.getInput("language_concurrency") ||
+        "2",
       10
     );
+    const localeConcurrency =
+      parseInt(core.getInput("locale_concurrency"), 10) || undefined;
     const maxRetries = parseInt(core.getInput("max_retries"), 10);
     const retryDelay = parseInt(core.getInput("retry_delay"), 10);
     const branchPrefix = core.getInput("branch_prefix");
+    const branchName = core.getInput("branch_name");
     const prTitle = core.getInput("pr_title");
     const prBody = core.getInput("pr_body");
+    const draft = core.getBooleanInput("draft");
+    const autoMerge = core.getInput("auto_merge");
+    if (autoMerge && !["merge", "squash", "rebase"].includes(autoMerge)) {
+      throw new Error(
+        `Invalid auto_merge: ${autoMerge}, must be merge, squash or rebase`
+      );
+    }
+    const dryRun = core.getBooleanInput("dry_run");
+    const reportPath =
+      core.getInput("report_path") ||
+      path.join(process.env.RUNNER_TEMP || os.tmpdir(), "linguci-report.json");
 
     const linguci = new Linguci();
 
+    // Throws for an invalid policy before anything is translated
+    const failOn = core.getInput("fail_on") || "never";
+    linguci.checkFailurePolicy(failOn);
+
+    const mode = core.getInput("mode") || "translate";
+    if (!["translate", "check"].includes(mode)) {
+      throw new Error(`Invalid mode: ${mode}, must be translate or check`);
+    }
+
+    if (mode === "check") {
+      const passed = await checkCoverage(
+        linguci.readConfig().validateConfig({ requireLlm: false })
+      );
+      if (passed) {
+        core.setOutput("status", "success");
+      } else {
+        core.setFailed("Translation coverage check failed");
+      }
+      return;
+    }
+
     await linguci
       .readConfig()
       .validateConfig()
-      .createTranslationBatches({ batchSize })
+      .createTranslationBatches({ batchSize, batchTokens, mixContexts })
       .executeTranslations({
-        languageConcurrency,
+        concurrency,
+        localeConcurrency,
         maxRetries,
         retryDelay,
+      });
+
+    // Count the changes before they are written, the report diffs against the files on disk
+    const { totals } = linguci.writeReport({ reportPath, dryRun }).report;
+    core.setOutput("report_path", reportPath);
+    core.setOutput("added_count", totals.added);
+    core.setOutput("translated_count", totals.translated);
+    core.setOutput("failed_count", totals.failed);
+    core.setOutput("obsolete_count", totals.obsolete);
+    core.setOutput(
+      "failed_entries",
+      JSON.stringify(linguci.getFailedEntries())
+    );
+    const failures = linguci.checkFailurePolicy(failOn);
+
+    // The successful translations are committed either way, fail_on only sets the exit status
+    const finish = () => {
+      if (failures.passed) {
+        core.setOutput("status", dryRun ? "dry_run" : "success");
+      } else {
+        core.setOutput("status", "failed");
+        core.setFailed(failures.message);
+      }
+    };
+
+    if (dryRun) {
+      finish();
+      return;
+    }
+
+    linguci.writeTranslations();
+    await linguci
+      .commitChanges({
+        username: "Linguci",
+        email: "linguci@users.noreply.github.com",
+        commitPer: core.getInput("commit_per") || "run",
+        messageTemplate: core.getInput("commit_message") || undefined,
       })
-      .then((instance) => instance.writeTranslations())
-      .then((instance) =>
-        instance.commitChanges({
-          username: "Linguci",
-          email: "linguci@users.noreply.github.com",
-        })
-      )
       .then((instance) =>
         instance.createPullRequest({
+          octokit: github.getOctokit(
+            core.getInput("github_token") || process.env.GITHUB_TOKEN
+          ),
+          ...github.context.repo,
           branchPrefix,
+          branchName,
           prTitle,
           prBody,
+          labels: getListInput("labels"),
+          reviewers: getListInput("reviewers"),
+          teamReviewers: getListInput("team_reviewers"),
+          assignees: getListInput("assignees"),
+          milestone: core.getInput("milestone"),
+          draft,
+          autoMerge,
         })
       );
 
-    core.setOutput("status", "success");
+    if (linguci.pullRequest) {
+      core.setOutput("pr_number", linguci.pullRequest.number);
+      core.setOutput("pr_url", linguci.pullRequest.url);
+    }
+    finish();
   } catch (error) {
     core.setFailed(`Linguci action failed: ${error.message}`);
   }
@@ -0,0 +1,195 @@
+/**
+ * Compute the similarity of two strings from their Levenshtein distance
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} 1 for identical strings down to 0 for completely different ones
+ */
+export function getSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) {
+    return 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / longest;
+}
+
+/**
+ * Translation memory of past translations keyed by locale, context and source text
+ * Stored as a JSON file in the repository so every run can reuse it
+ */
+class TranslationMemory {
+  /**
+   * Memory entries of each locale keyed by context and source text
+   * @type {Object<string, Map<string, {context: string, source: string|string[]|Object<string, string>, translation: string|string[]}>>}
+   */
+  entries = {};
+
+  /**
+   * Whether entries were added or changed since the memory was loaded
+   * @type {boolean}
+   */
+  changed = false;
+
+  /**
+   * Constructor
+   * @param {string} [content] - Contents of the translation memory file
+   * @throws {Error} If the contents are not a valid translation memory
+   */
+  constructor(content) {
+    if (!content || !content.trim()) {
+      return;
+    }
+
+    const data = JSON.parse(content);
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("Expected an object of entries keyed by locale");
+    }
+
+    for (const locale in data) {
+      if (!Array.isArray(data[locale])) {
+        throw new Error(`Expected a list of entries for locale ${locale}`);
+      }
+      for (const { context = "", source, translation } of data[locale]) {
+        if (source !== undefined && translation !== undefined) {
+          this._getEntries(locale).set(this._getKey(context, source), {
+            context,
+            source,
+            translation,
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the translation of a source text in a context
+   * @param {string} locale - The locale code
+   * @param {string} context - The context key
+   * @param {string|string[]|Object<string, string>} source - The source text
+   * @returns {string|string[]|undefined} The translation
+   */
+  get(locale, context, source) {
+    return this._getEntries(locale).get(this._getKey(context, source))
+      ?.translation;
+  }
+
+  /**
+   * Add or update the translation of a source text in a context
+   * @param {string} locale - The locale code
+   * @param {string} context - The context key
+   * @param {string|string[]|Object<string, string>} source - The source text
+   * @param {string|string[]} translation - The translation
+   */
+  set(locale, context, source, translation) {
+    const key = this._getKey(context, source);
+    const entries = this._getEntries(locale);
+    if (
+      JSON.stringify(entries.get(key)?.translation) ===
+      JSON.stringify(translation)
+    ) {
+      return;
+    }
+
+    entries.set(key, { context, source, translation });
+    this.changed = true;
+  }
+
+  /**
+   * Find translations of similar source texts
+   * The same source text in other contexts counts as a near match too
+   * @param {string} locale - The locale code
+   * @param {string} context - The context key of the source text
+   * @param {string} source - The source text
+   * @param {Object} options - Search options
+   * @param {number} options.minSimilarity - Minimum similarity between 0 and 1
+   * @param {number} options.limit - Maximum number of matches
+   * @returns {Array<{source: string, translation: string, similarity: number}>} The best matches first
+   */
+  findSimilar(locale, context, source, { minSimilarity, limit }) {
+    const matches = [];
+    const text = source.toLowerCase();
+
+    for (const entry of this._getEntries(locale).values()) {
+      if (
+        typeof entry.source !== "string" ||
+        typeof entry.translation !== "string" ||
+        (entry.context === context && entry.source === source)
+      ) {
+        continue;
+      }
+
+      // The length difference alone rules out most entries
+      const lengths = [entry.source.length, source.length];
+      if (Math.min(...lengths) / Math.max(...lengths) < minSimilarity) {
+        continue;
+      }
+
+      const similarity = getSimilarity(text, entry.source.toLowerCase());
+      if (similarity >= minSimilarity) {
+        matches.push({
+          source: entry.source,
+          translation: entry.translation,
+          similarity,
+        });
+      }
+    }
+
+    return matches.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+
+  /**
+   * Serialize the memory for its file
+   * Entries are sorted so the file diffs cleanly between runs
+   * @returns {string} The file contents
+   */
+  serialize() {
+    const data = {};
+    for (const locale of Object.keys(this.entries).sort()) {
+      data[locale] = [...this.entries[locale].entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([, { context, source, translation }]) =>
+          context ? { context, source, translation } : { source, translation }
+        );
+    }
+    return `${JSON.stringify(data, null, 2)}\n`;
+  }
+
+  /**
+   * Get the entries of a locale
+   * @private
+   * @param {string} locale - The locale code
+   * @returns {Map<string, Object>} The entries keyed by context and source text
+   */
+  _getEntries(locale) {
+    if (!this.entries[locale]) {
+      this.entries[locale] = new Map();
+    }
+    return this.entries[locale];
+  }
+
+  /**
+   * Get the key of a source text in a context
+   * @private
+   * @param {string} context - The context key
+   * @param {string|string[]|Object<string, string>} source - The source text
+   * @returns {string} The key
+   */
+  _getKey(context, source) {
+    return JSON.stringify([source, context]);
+  }
+}
+
+export default TranslationMemory;
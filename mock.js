@@ -0,0 +1,182 @@
+/**
+ * Find the source messages of a batch in the text of a translation prompt
+ * @param {string} text - The prompt text
+ * @returns {Object<string, string|string[]|Object<string, string>>} The source messages keyed by msgid
+ * @throws {Error} If the prompt has no source messages
+ */
+function parseSourceMessages(text) {
+  const start = text.indexOf("Source messages:\n");
+  if (start === -1) {
+    throw new Error("Mock provider: prompt has no source messages");
+  }
+
+  // The messages are pretty printed, so the object ends at the first unindented brace
+  const json = text.slice(start + "Source messages:\n".length);
+  return JSON.parse(json.slice(0, json.indexOf("\n}") + 2));
+}
+
+/**
+ * Get the text of the user messages of a prompt
+ * @param {Array<{role: string, content: string|Array<{type: string, text?: string}>}>} prompt - The prompt messages
+ * @returns {string} The text
+ */
+function getPromptText(prompt) {
+  return prompt
+    .filter(({ role }) => role === "user")
+    .flatMap(({ content }) =>
+      typeof content === "string"
+        ? [content]
+        : content.filter(({ type }) => type === "text").map(({ text }) => text)
+    )
+    .join("\n");
+}
+
+/**
+ * Translate a source message into a locale-prefixed copy
+ * The source text is kept as it is, so placeholders, tags and ICU arguments
+ * stay valid, and plural messages get as many forms as the schema asks for
+ * @param {string|string[]|Object<string, string>} source - The source message
+ * @param {Object} [property] - JSON schema of the translation
+ * @param {string} prefix - The prefix of each translation
+ * @returns {string|string[]} The fake translation
+ */
+function translateMessage(source, property, prefix) {
+  if (property?.type !== "array") {
+    const text = typeof source === "string" ? source : Object.values(source)[0];
+    return `${prefix}${text}`;
+  }
+
+  const forms = Array.isArray(source)
+    ? source
+    : [source.one ?? source.other, source.other];
+  const count = property.minItems ?? forms.length;
+  return Array.from(
+    { length: count },
+    (_, index) => `${prefix}${forms[Math.min(index, forms.length - 1)]}`
+  );
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - The delay
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+  });
+}
+
+/**
+ * Create an offline model that returns deterministic fake translations
+ * Each message is translated into a copy of its source prefixed with the
+ * locale, e.g. "[de-DE] Hello {name}". Requests are counted so failures and
+ * malformed responses can be injected at fixed points, which makes the retry
+ * and partial failure paths reproducible without network access
+ * @param {Object} [options] - The mock options from the llm config
+ * @param {string} [options.model="mock"] - The model name reported in responses
+ * @param {number} [options.delay=0] - Milliseconds to wait before each response
+ * @param {number} [options.fail_every=0] - Fail every nth request with an error
+ * @param {number} [options.malformed_every=0] - Respond to every nth request with an object that does not match the schema
+ * @param {string[]} [options.fail_locales=[]] - Locales whose requests always fail
+ * @param {string[]} [options.fail_messages=[]] - Source messages that make every request containing them fail
+ * @returns {Object} A language model for generateObject
+ */
+export function createMockModel({
+  model = "mock",
+  delay = 0,
+  fail_every = 0,
+  malformed_every = 0,
+  fail_locales = [],
+  fail_messages = [],
+} = {}) {
+  let requests = 0;
+
+  return {
+    specificationVersion: "v1",
+    provider: "mock",
+    modelId: model,
+    defaultObjectGenerationMode: "json",
+
+    /**
+     * Number of requests the model has received
+     * @type {number}
+     */
+    get requests() {
+      return requests;
+    },
+
+    /**
+     * Generate the fake translations of a batch
+     * @param {Object} options - The call options of the AI SDK
+     * @returns {Promise<Object>} The generation result
+     */
+    async doGenerate({ prompt, mode, providerMetadata, abortSignal }) {
+      const request = ++requests;
+      const locale = providerMetadata?.linguci?.locale ?? "mock";
+
+      if (delay > 0) {
+        await wait(delay, abortSignal);
+      }
+      if (fail_locales.includes(locale)) {
+        throw new Error(`Mock provider: failing requests for ${locale}`);
+      }
+      if (fail_every > 0 && request % fail_every === 0) {
+        throw new Error(
+          `Mock provider: injected failure of request #${request}`
+        );
+      }
+
+      const text = getPromptText(prompt);
+      const messages = parseSourceMessages(text);
+      const poison = Object.values(messages).find((source) =>
+        fail_messages.includes(
+          typeof source === "string" ? source : Object.values(source)[0]
+        )
+      );
+      if (poison !== undefined) {
+        throw new Error(
+          `Mock provider: failing request with message ${JSON.stringify(
+            poison
+          )}`
+        );
+      }
+      const properties = mode?.schema?.properties || {};
+      const object = {};
+      for (const msgid in messages) {
+        object[msgid] =
+          malformed_every > 0 && request % malformed_every === 0
+            ? null
+            : translateMessage(
+                messages[msgid],
+                properties[msgid],
+                `[${locale}] `
+              );
+      }
+
+      const output = JSON.stringify(object);
+      return {
+        text: output,
+        finishReason: "stop",
+        usage: {
+          promptTokens: Math.ceil(text.length / 4),
+          completionTokens: Math.ceil(output.length / 4),
+        },
+        rawCall: { rawPrompt: prompt, rawSettings: {} },
+      };
+    },
+
+    /**
+     * Streaming is not used by linguci
+     * @throws {Error} Always
+     */
+    async doStream() {
+      throw new Error("Mock provider: streaming is not supported");
+    },
+  };
+}
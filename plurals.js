@@ -0,0 +1,187 @@
+/**
+ * Default gettext Plural-Forms expressions keyed by language subtag, used when
+ * a translation file has no Plural-Forms header of its own
+ * @type {Object<string, string>}
+ */
+export const DEFAULT_PLURAL_FORMS = {
+  af: "nplurals=2; plural=(n != 1);",
+  ar: "nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);",
+  be: "nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);",
+  bg: "nplurals=2; plural=(n != 1);",
+  bn: "nplurals=2; plural=(n > 1);",
+  bs: "nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);",
+  ca: "nplurals=2; plural=(n != 1);",
+  cs: "nplurals=3; plural=(n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2;",
+  cy: "nplurals=4; plural=(n==1) ? 0 : (n==2) ? 1 : (n != 8 && n != 11) ? 2 : 3;",
+  da: "nplurals=2; plural=(n != 1);",
+  de: "nplurals=2; plural=(n != 1);",
+  el: "nplurals=2; plural=(n != 1);",
+  en: "nplurals=2; plural=(n != 1);",
+  es: "nplurals=2; plural=(n != 1);",
+  et: "nplurals=2; plural=(n != 1);",
+  eu: "nplurals=2; plural=(n != 1);",
+  fa: "nplurals=2; plural=(n > 1);",
+  fi: "nplurals=2; plural=(n != 1);",
+  fil: "nplurals=2; plural=(n > 1);",
+  fr: "nplurals=2; plural=(n > 1);",
+  ga: "nplurals=5; plural=n==1 ? 0 : n==2 ? 1 : (n>2 && n<7) ? 2 : (n>6 && n<11) ? 3 : 4;",
+  gl: "nplurals=2; plural=(n != 1);",
+  he: "nplurals=2; plural=(n != 1);",
+  hi: "nplurals=2; plural=(n > 1);",
+  hr: "nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);",
+  hu: "nplurals=2; plural=(n != 1);",
+  hy: "nplurals=2; plural=(n > 1);",
+  id: "nplurals=1; plural=0;",
+  is: "nplurals=2; plural=(n%10!=1 || n%100==11);",
+  it: "nplurals=2; plural=(n != 1);",
+  ja: "nplurals=1; plural=0;",
+  ka: "nplurals=1; plural=0;",
+  kk: "nplurals=1; plural=0;",
+  km: "nplurals=1; plural=0;",
+  ko: "nplurals=1; plural=0;",
+  la: "nplurals=2; plural=(n != 1);",
+  lt: "nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && (n%100<10 || n%100>=20) ? 1 : 2);",
+  lv: "nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n != 0 ? 1 : 2);",
+  mk: "nplurals=2; plural=(n==1 || n%10==1 ? 0 : 1);",
+  mn: "nplurals=2; plural=(n != 1);",
+  ms: "nplurals=1; plural=0;",
+  mt: "nplurals=4; plural=(n==1 ? 0 : n==0 || ( n%100>1 && n%100<11) ? 1 : (n%100>10 && n%100<20 ) ? 2 : 3);",
+  nb: "nplurals=2; plural=(n != 1);",
+  nl: "nplurals=2; plural=(n != 1);",
+  nn: "nplurals=2; plural=(n != 1);",
+  no: "nplurals=2; plural=(n != 1);",
+  pa: "nplurals=2; plural=(n != 1);",
+  pl: "nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);",
+  pt: "nplurals=2; plural=(n != 1);",
+  "pt-BR": "nplurals=2; plural=(n > 1);",
+  ro: "nplurals=3; plural=(n==1 ? 0 : (n==0 || (n%100 > 0 && n%100 < 20)) ? 1 : 2);",
+  ru: "nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);",
+  sk: "nplurals=3; plural=(n==1) ? 0 : (n>=2 && n<=4) ? 1 : 2;",
+  sl: "nplurals=4; plural=(n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3);",
+  sq: "nplurals=2; plural=(n != 1);",
+  sr: "nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);",
+  sv: "nplurals=2; plural=(n != 1);",
+  sw: "nplurals=2; plural=(n != 1);",
+  ta: "nplurals=2; plural=(n != 1);",
+  th: "nplurals=1; plural=0;",
+  tr: "nplurals=2; plural=(n > 1);",
+  uk: "nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);",
+  ur: "nplurals=2; plural=(n != 1);",
+  vi: "nplurals=1; plural=0;",
+  zh: "nplurals=1; plural=0;",
+};
+
+/**
+ * Plural-Forms used when neither the file nor the default table knows the locale
+ * @type {string}
+ */
+const FALLBACK_PLURAL_FORMS = "nplurals=2; plural=(n != 1);";
+
+/**
+ * Parse a gettext Plural-Forms header value
+ * @param {string} header - The header value, e.g. "nplurals=2; plural=(n != 1);"
+ * @returns {{nplurals: number, plural: string}|null} The parsed plural forms or null if the header is invalid
+ */
+export function parsePluralForms(header) {
+  if (typeof header !== "string") {
+    return null;
+  }
+
+  const npluralsMatch = header.match(/nplurals\s*=\s*(\d+)/);
+  const pluralMatch = header.match(/plural\s*=\s*([^;]+)/);
+  if (!npluralsMatch || !pluralMatch) {
+    return null;
+  }
+
+  const nplurals = parseInt(npluralsMatch[1], 10);
+  if (nplurals < 1) {
+    return null;
+  }
+
+  return { nplurals, plural: pluralMatch[1].trim() };
+}
+
+/**
+ * Get the default Plural-Forms header for a locale
+ * Tries the full locale code first and then its language subtag
+ * @param {string} locale - The locale code, e.g. "pt-BR" or "ru-RU"
+ * @returns {string} The Plural-Forms header value
+ */
+export function getDefaultPluralForms(locale = "") {
+  const language = locale.split(/[-_]/)[0].toLowerCase();
+  return (
+    DEFAULT_PLURAL_FORMS[locale] ||
+    DEFAULT_PLURAL_FORMS[language] ||
+    FALLBACK_PLURAL_FORMS
+  );
+}
+
+/**
+ * Compile a gettext plural expression into a function
+ * Only the operators allowed in C plural expressions are accepted
+ * @param {string} expression - The plural expression, e.g. "(n != 1)"
+ * @returns {function(number): number} Function mapping a count to a plural form index
+ */
+export function compilePluralExpression(expression) {
+  if (!/^[n\d\s()?:<>=!&|%+\-*/]+$/.test(expression)) {
+    throw new Error(`Invalid plural expression: ${expression}`);
+  }
+
+  // C comparison operators yield 0 or 1, JavaScript ones yield booleans
+  const evaluate = new Function("n", `return Number(${expression});`);
+  return (n) => evaluate(n);
+}
+
+/**
+ * CLDR plural categories in their canonical order
+ * @type {string[]}
+ */
+const CLDR_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+/**
+ * Get the CLDR plural categories of a locale, as used by Android, Apple and ICU
+ * Categories that no whole number selects (like "many" for compact numbers in
+ * French) are left out, since catalogs only pluralize counts
+ * @param {string} locale - The locale code
+ * @returns {{nplurals: number, categories: string[], locale: string}} The plural forms
+ */
+export function getCldrPluralForms(locale) {
+  const rules = new Intl.PluralRules(locale);
+  const used = new Set(["other"]);
+  for (let n = 0; n <= 1000; n++) {
+    used.add(rules.select(n));
+  }
+
+  const categories = CLDR_CATEGORIES.filter((category) => used.has(category));
+  return { nplurals: categories.length, categories, locale };
+}
+
+/**
+ * Find example counts for each plural form index
+ * @param {Object} pluralForms - The parsed gettext plural forms, or CLDR plural forms
+ * @param {number} pluralForms.nplurals - Number of plural forms
+ * @param {string} [pluralForms.plural] - The gettext plural expression
+ * @param {string[]} [pluralForms.categories] - The CLDR plural categories
+ * @param {string} [pluralForms.locale] - The locale of the CLDR plural categories
+ * @param {number} [maxExamples=4] - Maximum number of examples per form
+ * @returns {number[][]} Example counts, one array per plural form index
+ */
+export function getPluralExamples(
+  { nplurals, plural, categories, locale },
+  maxExamples = 4
+) {
+  const examples = Array.from({ length: nplurals }, () => []);
+  const rules = categories && new Intl.PluralRules(locale);
+  const evaluate = categories
+    ? (n) => categories.indexOf(rules.select(n))
+    : compilePluralExpression(plural);
+
+  for (let n = 0; n <= 1000; n++) {
+    const index = evaluate(n);
+    if (examples[index] && examples[index].length < maxExamples) {
+      examples[index].push(n);
+    }
+  }
+
+  return examples;
+}
@@ -0,0 +1,207 @@
+/**
+ * Longest time to wait before retrying a request, in milliseconds
+ * @type {number}
+ */
+export const MAX_RETRY_DELAY = 60000;
+
+/**
+ * Length of the rate limit window, in milliseconds
+ * @type {number}
+ */
+const WINDOW = 60000;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - The delay
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Read how long the provider asked to wait from the headers of a failed request
+ * Supports retry-after-ms, and retry-after in seconds or as an HTTP date
+ * @param {Error} error - The error thrown by generateObject
+ * @returns {number|undefined} The delay in milliseconds, if the provider sent one
+ */
+export function getRetryAfter(error) {
+  const headers = error?.responseHeaders ?? error?.lastError?.responseHeaders;
+  if (!headers) {
+    return undefined;
+  }
+
+  const milliseconds = parseFloat(headers["retry-after-ms"]);
+  if (milliseconds >= 0) {
+    return Math.min(milliseconds, MAX_RETRY_DELAY);
+  }
+
+  const value = headers["retry-after"];
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  const delay = Number.isNaN(seconds)
+    ? Date.parse(value) - Date.now()
+    : seconds * 1000;
+  return Number.isNaN(delay)
+    ? undefined
+    : Math.min(Math.max(delay, 0), MAX_RETRY_DELAY);
+}
+
+/**
+ * Get the delay before a retry with exponential backoff and jitter
+ * The delay doubles with every attempt, and a random half of it is dropped so
+ * requests that failed together do not retry together
+ * @param {number} attempt - The number of the retry, starting at 0
+ * @param {number} baseDelay - The delay before the first retry, in milliseconds
+ * @returns {number} The delay in milliseconds
+ */
+export function getBackoffDelay(attempt, baseDelay) {
+  const delay = Math.min(baseDelay * 2 ** attempt, MAX_RETRY_DELAY);
+  return delay / 2 + (Math.random() * delay) / 2;
+}
+
+/**
+ * Worker pool that runs translation requests with a global and a per-locale
+ * concurrency limit, and spaces them out to stay below the requests and
+ * tokens per minute of the provider
+ */
+class Scheduler {
+  /**
+   * Requests sent in the last minute, with their token counts
+   * @type {Array<{time: number, tokens: number}>}
+   */
+  window = [];
+
+  /**
+   * Time until which no request is sent, after the provider asked to wait
+   * @type {number}
+   */
+  pausedUntil = 0;
+
+  /**
+   * Constructor
+   * @param {Object} [options] - Scheduler options
+   * @param {number} [options.concurrency=2] - Maximum number of tasks running at once
+   * @param {number} [options.localeConcurrency=Infinity] - Maximum number of tasks of the same locale running at once
+   * @param {number} [options.requestsPerMinute=0] - Maximum number of requests per minute, 0 for no limit
+   * @param {number} [options.tokensPerMinute=0] - Maximum number of tokens per minute, 0 for no limit
+   */
+  constructor({
+    concurrency = 2,
+    localeConcurrency = Infinity,
+    requestsPerMinute = 0,
+    tokensPerMinute = 0,
+  } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.localeConcurrency = Math.max(1, localeConcurrency);
+    this.requestsPerMinute = requestsPerMinute;
+    this.tokensPerMinute = tokensPerMinute;
+  }
+
+  /**
+   * Run tasks as soon as a worker is free, so a slow task does not hold up
+   * the others
+   * @param {Array<{locale: string}>} tasks - The tasks
+   * @param {function(Object): Promise<*>} worker - Runs a task
+   * @returns {Promise<Array<{status: string, value?: *, reason?: *}>>} The settled results in the order of the tasks
+   */
+  run(tasks, worker) {
+    const results = new Array(tasks.length);
+    const pending = tasks.map((task, index) => ({ task, index }));
+    const running = new Map();
+    let runningCount = 0;
+
+    return new Promise((resolve) => {
+      const next = () => {
+        if (pending.length === 0 && runningCount === 0) {
+          resolve(results);
+          return;
+        }
+
+        while (runningCount < this.concurrency) {
+          // Take the first task whose locale has a free slot
+          const position = pending.findIndex(
+            ({ task }) =>
+              (running.get(task.locale) || 0) < this.localeConcurrency
+          );
+          if (position === -1) break;
+
+          const [{ task, index }] = pending.splice(position, 1);
+          runningCount++;
+          running.set(task.locale, (running.get(task.locale) || 0) + 1);
+
+          Promise.resolve()
+            .then(() => worker(task))
+            .then(
+              (value) => {
+                results[index] = { status: "fulfilled", value };
+              },
+              (reason) => {
+                results[index] = { status: "rejected", reason };
+              }
+            )
+            .finally(() => {
+              runningCount--;
+              running.set(task.locale, running.get(task.locale) - 1);
+              next();
+            });
+        }
+      };
+
+      next();
+    });
+  }
+
+  /**
+   * Wait until a request fits in the rate limits, and count it
+   * @param {number} [tokens=0] - Estimated tokens of the request
+   * @returns {Promise<{time: number, tokens: number}>} The record of the request, whose tokens can be corrected once the usage is known
+   */
+  async acquire(tokens = 0) {
+    while (true) {
+      const now = Date.now();
+      this.window = this.window.filter(({ time }) => time > now - WINDOW);
+
+      let delay = this.pausedUntil - now;
+      if (
+        this.requestsPerMinute > 0 &&
+        this.window.length >= this.requestsPerMinute
+      ) {
+        delay = Math.max(
+          delay,
+          this.window[this.window.length - this.requestsPerMinute].time +
+            WINDOW -
+            now
+        );
+      }
+      if (this.tokensPerMinute > 0) {
+        // Wait until enough earlier requests leave the window
+        let used = this.window.reduce((sum, record) => sum + record.tokens, 0);
+        for (const record of this.window) {
+          if (used + tokens <= this.tokensPerMinute) break;
+          used -= record.tokens;
+          delay = Math.max(delay, record.time + WINDOW - now);
+        }
+      }
+
+      if (delay <= 0) {
+        const record = { time: now, tokens };
+        this.window.push(record);
+        return record;
+      }
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Hold back all requests, after the provider asked to wait
+   * @param {number} ms - The delay in milliseconds
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+export default Scheduler;
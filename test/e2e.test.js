@@ -0,0 +1,239 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import gettextParser from "gettext-parser";
+import Linguci from "../linguci.js";
+
+/**
+ * Source catalog with a plural entry and "Elder", which the mock provider
+ * fails every request for
+ * @type {string}
+ */
+const SOURCE_PO = `msgid ""
+msgstr ""
+"Content-Type: text/plain; charset=UTF-8\\n"
+"Language: en\\n"
+
+msgid "Apple"
+msgstr "Apple"
+
+msgid "Banana"
+msgstr "Banana"
+
+msgid "Cherry"
+msgstr "Cherry"
+
+msgid "Elder"
+msgstr "Elder"
+
+msgid "Fig"
+msgstr "Fig"
+
+msgid "one file"
+msgid_plural "%d files"
+msgstr[0] "one file"
+msgstr[1] "%d files"
+`;
+
+/**
+ * Config of the test workspace, translating with the offline mock provider
+ * @type {string}
+ */
+const CONFIG = `locales: [en, de, pl]
+files:
+  - source: locales/en.po
+    translation: locales/%locale%.po
+llm:
+  provider: mock
+  model: mock
+  mock:
+    fail_messages: [Elder]
+`;
+
+let root;
+let workspace;
+let linguci;
+
+/**
+ * Run git in a directory
+ * @param {string} cwd - The working directory
+ * @param {...string} args - The git arguments
+ * @returns {string} The trimmed output
+ */
+function git(cwd, ...args) {
+  return execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+}
+
+/**
+ * Read a translation catalog of the workspace
+ * @param {string} locale - The locale code
+ * @returns {Object<string, Object>} The entries of the default context keyed by msgid
+ */
+function readCatalog(locale) {
+  const content = fs.readFileSync(
+    path.join(workspace, "locales", `${locale}.po`)
+  );
+  return gettextParser.po.parse(content).translations[""];
+}
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "linguci-e2e-"));
+  workspace = path.join(root, "workspace");
+  const origin = path.join(root, "origin.git");
+
+  git(root, "init", "--quiet", "--bare", origin);
+  git(root, "init", "--quiet", "-b", "main", workspace);
+  fs.mkdirSync(path.join(workspace, "locales"));
+  fs.writeFileSync(path.join(workspace, "locales", "en.po"), SOURCE_PO);
+  for (const locale of ["de", "pl"]) {
+    fs.writeFileSync(
+      path.join(workspace, "locales", `${locale}.po`),
+      `msgid ""\nmsgstr ""\n"Content-Type: text/plain; charset=UTF-8\\n"\n"Language: ${locale}\\n"\n`
+    );
+  }
+  fs.writeFileSync(path.join(workspace, "linguci.yml"), CONFIG);
+
+  git(workspace, "add", ".");
+  git(
+    workspace,
+    "-c",
+    "user.name=Test",
+    "-c",
+    "user.email=test@example.com",
+    "commit",
+    "--quiet",
+    "-m",
+    "Initial commit"
+  );
+  git(workspace, "remote", "add", "origin", origin);
+  git(workspace, "push", "--quiet", "-u", "origin", "main");
+
+  linguci = new Linguci({ workspace, logLevel: "NONE" })
+    .readConfig()
+    .validateConfig();
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test("translates PO plurals into the plural forms of each locale", async () => {
+  await linguci
+    .createTranslationBatches({ batchSize: 20 })
+    .executeTranslations({ maxRetries: 0, retryDelay: 1 });
+  linguci.writeTranslations();
+
+  assert.deepEqual(readCatalog("de")["one file"].msgstr, [
+    "[de] one file",
+    "[de] %d files",
+  ]);
+  // Polish has three plural forms, the source only two
+  assert.deepEqual(readCatalog("pl")["one file"].msgstr, [
+    "[pl] one file",
+    "[pl] %d files",
+    "[pl] %d files",
+  ]);
+});
+
+test("bisects a failing batch and leaves only the failing entry untranslated", () => {
+  for (const locale of ["de", "pl"]) {
+    const catalog = readCatalog(locale);
+    assert.deepEqual(catalog.Elder.msgstr, [""]);
+    for (const msgid of ["Apple", "Banana", "Cherry", "Fig"]) {
+      assert.deepEqual(catalog[msgid].msgstr, [`[${locale}] ${msgid}`]);
+    }
+  }
+
+  assert.deepEqual(
+    linguci
+      .getFailedEntries()
+      .map(({ file, locale, msgid }) => ({ file, locale, msgid }))
+      .sort((a, b) => a.locale.localeCompare(b.locale)),
+    [
+      { file: "locales/de.po", locale: "de", msgid: "Elder" },
+      { file: "locales/pl.po", locale: "pl", msgid: "Elder" },
+    ]
+  );
+});
+
+test("checks the failed entries against fail_on", () => {
+  assert.equal(linguci.checkFailurePolicy("never").passed, true);
+  assert.equal(linguci.checkFailurePolicy("any").passed, false);
+  assert.equal(linguci.checkFailurePolicy("1").passed, false);
+  assert.equal(linguci.checkFailurePolicy("2").passed, true);
+  assert.throws(() => linguci.checkFailurePolicy("sometimes"));
+});
+
+test("commits the translations of each locale separately with commit_per", async () => {
+  await linguci.commitChanges({
+    username: "Linguci",
+    email: "linguci@example.com",
+    commitPer: "locale",
+  });
+
+  const subjects = git(workspace, "log", "--format=%s", "main~2..main")
+    .split("\n")
+    .sort();
+  assert.deepEqual(subjects, [
+    "linguci(de): translate 5 strings",
+    "linguci(pl): translate 5 strings",
+  ]);
+  assert.equal(git(workspace, "status", "--porcelain"), "");
+});
+
+test("force-pushes a stable branch and updates its open pull request", async () => {
+  const calls = [];
+  const pullRequest = {
+    number: 7,
+    html_url: "https://github.com/octo/app/pull/7",
+    node_id: "PR_7",
+  };
+  const record = (name, data) => async (args) => {
+    calls.push({ name, args });
+    return { data };
+  };
+  const octokit = {
+    rest: {
+      pulls: {
+        list: record("pulls.list", [pullRequest]),
+        create: record("pulls.create", pullRequest),
+        update: record("pulls.update", pullRequest),
+      },
+    },
+  };
+
+  await linguci.createPullRequest({
+    octokit,
+    owner: "octo",
+    repo: "app",
+    branchPrefix: "linguci",
+    branchName: "linguci/translations",
+    prTitle: "Update translations",
+    prBody: "Translations\n\n{{failed}}",
+  });
+
+  assert.equal(
+    git(workspace, "rev-parse", "origin/linguci/translations"),
+    git(workspace, "rev-parse", "HEAD")
+  );
+  assert.deepEqual(
+    calls.map(({ name }) => name),
+    ["pulls.list", "pulls.update"]
+  );
+  assert.deepEqual(calls[0].args, {
+    owner: "octo",
+    repo: "app",
+    head: "octo:linguci/translations",
+    base: "main",
+    state: "open",
+  });
+  assert.equal(calls[1].args.pull_number, 7);
+  assert.match(calls[1].args.body, /Elder/);
+  assert.deepEqual(linguci.pullRequest, {
+    number: 7,
+    url: "https://github.com/octo/app/pull/7",
+  });
+});
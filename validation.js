@@ -0,0 +1,379 @@
+/**
+ * ICU argument types that take a list of cases
+ * @type {string[]}
+ */
+const ICU_CASE_TYPES = ["plural", "selectordinal", "select"];
+
+/**
+ * ICU argument types that take an optional style
+ * @type {string[]}
+ */
+const ICU_SIMPLE_TYPES = [
+  "number",
+  "date",
+  "time",
+  "spellout",
+  "ordinal",
+  "duration",
+];
+
+/**
+ * Pattern matching printf style placeholders like %s, %1$d, %(name)s and %@
+ * A space flag is not accepted, so text like "50% off" is not a placeholder
+ * @type {RegExp}
+ */
+const PRINTF_PLACEHOLDER =
+  /%%|%#@[^@\s]+@|%(?:\d+\$)?(?:\([\w.-]+\))?[-+0#]*(?:\d+|\*)?(?:\.(?:\d+|\*))?(?:hh|h|ll|l|L|q|j|z|t)?[diouxXeEfFgGaAcsSp@]/g;
+
+/**
+ * Pattern matching brace placeholders like {0}, {name} and {{name}}, used when
+ * a message is not ICU syntax
+ * @type {RegExp}
+ */
+const BRACE_PLACEHOLDER = /\{\{[^{}]*\}\}|\{[^{}]*\}/g;
+
+/**
+ * Pattern matching opening, closing and self-closing tags like <0>, </b> and <br/>
+ * @type {RegExp}
+ */
+const TAG = /<(\/?)([A-Za-z\d][\w:.-]*)((?:\s[^<>]*?)?)(\/?)>/g;
+
+/**
+ * Throw a syntax error for the current position of an ICU message
+ * @param {{text: string, index: number}} state - The parser state
+ * @param {string} message - The error message
+ */
+function fail(state, message) {
+  throw new Error(`${message} at offset ${state.index}`);
+}
+
+/**
+ * Skip whitespace in an ICU message
+ * @param {{text: string, index: number}} state - The parser state
+ */
+function skipWhitespace(state) {
+  while (/\s/.test(state.text[state.index] ?? "")) {
+    state.index++;
+  }
+}
+
+/**
+ * Match a pattern at the current position of an ICU message and advance past it
+ * @param {{text: string, index: number}} state - The parser state
+ * @param {RegExp} pattern - A sticky pattern
+ * @returns {string|null} The matched text
+ */
+function consume(state, pattern) {
+  pattern.lastIndex = state.index;
+  const match = pattern.exec(state.text);
+  if (!match) {
+    return null;
+  }
+  state.index = pattern.lastIndex;
+  return match[0];
+}
+
+/**
+ * Advance past an expected character of an ICU message
+ * @param {{text: string, index: number}} state - The parser state
+ * @param {string} char - The expected character
+ */
+function expect(state, char) {
+  if (state.text[state.index] !== char) {
+    fail(state, `Expected "${char}"`);
+  }
+  state.index++;
+}
+
+/**
+ * Parse ICU message text up to the end of the message or a closing brace
+ * @param {Object} state - The parser state
+ * @param {boolean} inPlural - Whether the text is a plural case, where # is special
+ */
+function parseIcuText(state, inPlural) {
+  const { text } = state;
+  while (state.index < text.length) {
+    const char = text[state.index];
+    if (char === "}") {
+      return;
+    }
+    if (char === "{") {
+      parseIcuArgument(state);
+      continue;
+    }
+    if (char === "'") {
+      const next = text[state.index + 1];
+      if (next === "'") {
+        state.index += 2;
+        continue;
+      }
+      if (next === "{" || next === "}" || (inPlural && next === "#")) {
+        // Quoted literal text runs until the next single apostrophe
+        const end = text.slice(state.index + 1).search(/'(?!')/);
+        state.index = end === -1 ? text.length : state.index + end + 2;
+        continue;
+      }
+    }
+    state.index++;
+  }
+}
+
+/**
+ * Parse an ICU argument like {name}, {count, number} or {count, plural, ...}
+ * and record it in the parser state
+ * @param {Object} state - The parser state
+ */
+function parseIcuArgument(state) {
+  expect(state, "{");
+  skipWhitespace(state);
+  const name = consume(state, /[^\s{}',#]+/y);
+  if (!name) {
+    fail(state, "Expected an argument name");
+  }
+  skipWhitespace(state);
+
+  if (state.text[state.index] === "}") {
+    state.index++;
+    state.placeholders.add(`{${name}}`);
+    return;
+  }
+
+  expect(state, ",");
+  skipWhitespace(state);
+  const type = consume(state, /[a-z]+/iy);
+  if (!ICU_CASE_TYPES.includes(type) && !ICU_SIMPLE_TYPES.includes(type)) {
+    fail(state, `Invalid type "${type ?? ""}" for argument "${name}"`);
+  }
+  skipWhitespace(state);
+  state.placeholders.add(`{${name}, ${type}}`);
+
+  if (ICU_SIMPLE_TYPES.includes(type)) {
+    if (state.text[state.index] === ",") {
+      state.index++;
+      consume(state, /[^{}]*/y);
+    }
+    expect(state, "}");
+    return;
+  }
+
+  expect(state, ",");
+  skipWhitespace(state);
+  if (type !== "select") {
+    consume(state, /offset:\s*\d+\s*/y);
+  }
+
+  const cases = [];
+  while (state.index < state.text.length && state.text[state.index] !== "}") {
+    const selector = consume(state, /=\d+|[^\s{}]+/y);
+    if (!selector) {
+      fail(state, `Expected a case of argument "${name}"`);
+    }
+    skipWhitespace(state);
+    expect(state, "{");
+    parseIcuText(state, type !== "select");
+    expect(state, "}");
+    skipWhitespace(state);
+    cases.push(selector);
+  }
+  expect(state, "}");
+
+  if (!cases.includes("other")) {
+    fail(state, `Missing "other" case of argument "${name}"`);
+  }
+  if (type === "select") {
+    state.selects.set(name, cases.sort());
+  }
+}
+
+/**
+ * Parse an ICU message and collect its arguments
+ * @param {string} text - The message
+ * @returns {{placeholders: Set<string>, selects: Map<string, string[]>}} The arguments, and the cases of each select argument
+ * @throws {Error} If the message is not valid ICU syntax
+ */
+export function parseIcuMessage(text) {
+  const state = {
+    text,
+    index: 0,
+    placeholders: new Set(),
+    selects: new Map(),
+  };
+  parseIcuText(state, false);
+  if (state.index < text.length) {
+    fail(state, 'Unexpected "}"');
+  }
+  return state;
+}
+
+/**
+ * Check whether a message can be parsed as ICU syntax
+ * @param {string} text - The message
+ * @returns {boolean} True if the message parses
+ */
+function isIcuMessage(text) {
+  try {
+    parseIcuMessage(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the tags of a message, normalized to their name and id attribute
+ * Other attributes like title="..." may be translated and are ignored
+ * @param {string} text - The message
+ * @returns {Array<{token: string, name: string, closing: boolean, selfClosing: boolean}>} The tags in order
+ */
+function getTags(text) {
+  return [...text.matchAll(TAG)].map(
+    ([, closing, name, attributes, selfClosing]) => {
+      const id = attributes.match(/\bid\s*=\s*(?:"([^"]*)"|'([^']*)')/);
+      const idAttribute = id ? ` id="${id[1] ?? id[2]}"` : "";
+      return {
+        token: `<${closing}${name}${idAttribute}${selfClosing}>`,
+        name,
+        closing: closing === "/",
+        selfClosing: selfClosing === "/",
+      };
+    }
+  );
+}
+
+/**
+ * Find the first tag that is not properly nested in a message
+ * @param {string} text - The message
+ * @returns {string|null} A description of the problem, or null if all tags are balanced
+ */
+function findUnbalancedTag(text) {
+  const stack = [];
+  for (const tag of getTags(text)) {
+    if (tag.selfClosing) continue;
+    if (!tag.closing) {
+      stack.push(tag.name);
+    } else if (stack[stack.length - 1] === tag.name) {
+      stack.pop();
+    } else {
+      return `closing tag </${tag.name}> does not match an opening tag`;
+    }
+  }
+  return stack.length ? `tag <${stack.pop()}> is never closed` : null;
+}
+
+/**
+ * Collect the placeholders and tags of a message
+ * @param {string} text - The message
+ * @param {boolean} isIcu - Whether braces are ICU arguments
+ * @returns {{placeholders: Set<string>, selects: Map<string, string[]>}} The placeholders and tags, and the cases of each ICU select argument
+ */
+function collectPlaceholders(text, isIcu) {
+  const result = isIcu
+    ? parseIcuMessage(text)
+    : {
+        placeholders: new Set(text.match(BRACE_PLACEHOLDER)),
+        selects: new Map(),
+      };
+
+  for (const [placeholder] of text.matchAll(PRINTF_PLACEHOLDER)) {
+    if (placeholder !== "%%") {
+      result.placeholders.add(placeholder);
+    }
+  }
+  for (const { token } of getTags(text)) {
+    result.placeholders.add(token);
+  }
+
+  return result;
+}
+
+/**
+ * Normalize a source text or translation into a list of message forms
+ * @param {string|string[]|Object<string, string>} text - A message, plural forms, or plural forms keyed by CLDR category
+ * @returns {string[]} The forms
+ */
+function toForms(text) {
+  if (typeof text === "string") {
+    return [text];
+  }
+  return Array.isArray(text) ? text : Object.values(text || {});
+}
+
+/**
+ * Check a translation against its source text
+ * The translation must keep the placeholders of the source, like {name},
+ * {count, plural, ...}, %s, %(name)s and <0>...</0> tags, its tags must be
+ * balanced, and ICU messages must still parse. Plural forms are compared as
+ * a whole, since a form may leave out the count
+ * @param {string|string[]|Object<string, string>} source - The source text
+ * @param {string|string[]} translation - The translation
+ * @returns {string|null} A description of the problems, or null if the translation is valid
+ */
+export function validateTranslation(source, translation) {
+  const sourceForms = toForms(source);
+  const forms = toForms(translation);
+
+  if (forms.length === 0 || forms.some((form) => !form?.trim())) {
+    return "The translation is empty";
+  }
+
+  const isIcu =
+    sourceForms.some((form) => /[{}]/.test(form)) &&
+    sourceForms.every(isIcuMessage);
+  const errors = [];
+
+  for (const form of forms) {
+    if (isIcu) {
+      try {
+        parseIcuMessage(form);
+      } catch (error) {
+        errors.push(`Invalid ICU syntax: ${error.message}`);
+      }
+    }
+
+    const unbalanced = findUnbalancedTag(form);
+    if (unbalanced && !sourceForms.some(findUnbalancedTag)) {
+      errors.push(`Unbalanced markup: ${unbalanced}`);
+    }
+  }
+  if (errors.length) {
+    return errors.join("; ");
+  }
+
+  const expected = sourceForms.map((form) => collectPlaceholders(form, isIcu));
+  const actual = forms.map((form) => collectPlaceholders(form, isIcu));
+  const expectedPlaceholders = new Set(
+    expected.flatMap(({ placeholders }) => [...placeholders])
+  );
+  const actualPlaceholders = new Set(
+    actual.flatMap(({ placeholders }) => [...placeholders])
+  );
+
+  const missing = [...expectedPlaceholders].filter(
+    (placeholder) => !actualPlaceholders.has(placeholder)
+  );
+  if (missing.length) {
+    errors.push(`Missing placeholders: ${missing.join(", ")}`);
+  }
+
+  const unexpected = [...actualPlaceholders].filter(
+    (placeholder) => !expectedPlaceholders.has(placeholder)
+  );
+  if (unexpected.length) {
+    errors.push(`Unexpected placeholders: ${unexpected.join(", ")}`);
+  }
+
+  // Select cases are keywords the code matches on, so they must not be translated
+  for (const { selects } of expected) {
+    for (const [name, cases] of selects) {
+      const translated = actual.find(({ selects }) => selects.has(name));
+      const translatedCases = translated?.selects.get(name);
+      if (translatedCases && translatedCases.join() !== cases.join()) {
+        errors.push(
+          `Cases of select argument "${name}" must stay ${cases.join(", ")}`
+        );
+      }
+    }
+  }
+
+  return errors.length ? errors.join("; ") : null;
+}